@@ -184,6 +184,22 @@ class CausewayDesignApp {
                     }
                 }
             }
+
+            // Wind speed sits with the environmental parameters further down the sheet
+            const windRow = firstSheet.find(row => row && row.length > 0 && String(row[0]).toLowerCase().includes('wind speed'));
+            if (windRow) {
+                const value = this.extractNumericValue(windRow);
+                if (value) document.getElementById('windSpeed').value = value;
+            }
+
+            const zoneRow = firstSheet.find(row => row && row.length > 1 && String(row[0]).toLowerCase().includes('seismic zone'));
+            if (zoneRow) {
+                const zone = String(zoneRow[1]).trim().toUpperCase();
+                if (['I', 'II', 'III', 'IV', 'V'].includes(zone)) document.getElementById('seismicZone').value = zone;
+            }
+
+            const temperatureRow = firstSheet.find(row => row && row.length > 1 && String(row[0]).toLowerCase().includes('temperature'));
+            if (temperatureRow) document.getElementById('temperatureRange').value = String(temperatureRow[1]).trim();
         }
     }
 
@@ -198,6 +214,8 @@ class CausewayDesignApp {
     }
 
     async calculateDesign() {
+        // Default only an empty wind speed field; a zero or negative speed goes to the server to be rejected
+        const windSpeed = document.getElementById('windSpeed').value;
         const formData = {
             length: parseFloat(document.getElementById('length').value) || 0,
             width: parseFloat(document.getElementById('width').value) || 0,
@@ -205,7 +223,10 @@ class CausewayDesignApp {
             waterDepth: parseFloat(document.getElementById('waterDepth').value) || 0,
             soilType: document.getElementById('soilType').value,
             loadType: document.getElementById('loadType').value,
-            safetyFactor: parseFloat(document.getElementById('safetyFactor').value) || 2.5
+            safetyFactor: parseFloat(document.getElementById('safetyFactor').value) || 2.5,
+            windSpeed: windSpeed === '' ? 33 : parseFloat(windSpeed),
+            seismicZone: document.getElementById('seismicZone').value,
+            temperatureRange: document.getElementById('temperatureRange').value || '-5 to 45'
         };
 
         // Validate inputs
@@ -281,6 +302,14 @@ class CausewayDesignApp {
                         <div class="value">${result.hydraulics.designDischarge} m³/s</div>
                         <div class="label">Design Discharge</div>
                     </div>
+                    <div class="result-item">
+                        <div class="value">${result.hydraulics.flowArea} m²</div>
+                        <div class="label">Flow Area</div>
+                    </div>
+                    <div class="result-item">
+                        <div class="value">${result.hydraulics.wettedPerimeter} m</div>
+                        <div class="label">Wetted Perimeter</div>
+                    </div>
                     <div class="result-item">
                         <div class="value">${result.hydraulics.hydraulicRadius} m</div>
                         <div class="label">Hydraulic Radius</div>
@@ -297,6 +326,10 @@ class CausewayDesignApp {
                         <div class="value">${result.hydraulics.scourDepth} m</div>
                         <div class="label">Max Scour Depth</div>
                     </div>
+                    <div class="result-item">
+                        <div class="value">${result.hydraulics.afflux} m</div>
+                        <div class="label">Afflux</div>
+                    </div>
                 </div>
             </div>
         ` : '';
@@ -330,6 +363,10 @@ class CausewayDesignApp {
                         <div class="value">${result.loads.buoyancy} kN</div>
                         <div class="label">Buoyancy</div>
                     </div>
+                    <div class="result-item">
+                        <div class="value">${result.loads.siltLoad} kN</div>
+                        <div class="label">Silt on Deck</div>
+                    </div>
                     <div class="result-item">
                         <div class="value">${result.loads.totalVertical} kN</div>
                         <div class="label">Total Vertical</div>
@@ -359,6 +396,10 @@ class CausewayDesignApp {
                         <span class="indicator">${result.safetyChecks.deflection ? '✅' : '⚠️'}</span>
                         <span class="label">Deflection</span>
                     </div>
+                    <div class="safety-item ${result.safetyChecks.deckSlab ? 'safe' : 'warning'}">
+                        <span class="indicator">${result.safetyChecks.deckSlab ? '✅' : '⚠️'}</span>
+                        <span class="label">Deck Slab</span>
+                    </div>
                 </div>
                 <p style="margin-top: 15px;"><strong>Overall Status:</strong> ${result.safetyChecks.overall ? '✅ DESIGN SAFE' : '⚠️ DESIGN REVIEW REQUIRED'}</p>
             </div>
@@ -380,12 +421,12 @@ class CausewayDesignApp {
                         <div class="label">Surface Area</div>
                     </div>
                     <div class="result-item">
-                        <div class="value">${result.calculations.bendingMoment} kN·m</div>
-                        <div class="label">Max Moment</div>
+                        <div class="value">${result.calculations.bendingMoment} kN·m/m</div>
+                        <div class="label">Deck Slab Mu</div>
                     </div>
                     <div class="result-item">
-                        <div class="value">${result.calculations.deflection} mm</div>
-                        <div class="label">Max Deflection</div>
+                        <div class="value">${result.calculations.mainSteel}</div>
+                        <div class="label">Deck Slab Main Steel</div>
                     </div>
                 </div>
             </div>
@@ -1021,6 +1062,89 @@ class CausewayDesignApp {
                 }
             }
         });
+
+        // Moving Load Envelope Chart
+        const envelopeCtx = document.getElementById('envelopeChart').getContext('2d');
+        this.charts.envelope = new Chart(envelopeCtx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Max Shear (KN)',
+                    data: [],
+                    borderColor: '#e53e3e',
+                    fill: false
+                }, {
+                    label: 'Min Shear (KN)',
+                    data: [],
+                    borderColor: '#3182ce',
+                    fill: false
+                }, {
+                    label: 'Max Moment (KN-m)',
+                    data: [],
+                    borderColor: '#48bb78',
+                    borderDash: [5, 5],
+                    fill: false
+                }, {
+                    label: 'Min Moment (KN-m)',
+                    data: [],
+                    borderColor: '#805ad5',
+                    borderDash: [5, 5],
+                    fill: false
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Distance along span (m)'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    async updateEnvelopeChart(calculationResults) {
+        const liveLoadAnalysis = calculationResults.loads && calculationResults.loads.liveLoadAnalysis;
+        if (!this.charts.envelope || !liveLoadAnalysis) return;
+
+        // Footway loading is uniform, so the heaviest vehicle checked is plotted
+        const vehicles = liveLoadAnalysis.classes.filter(result => result.key !== 'footway');
+        if (vehicles.length === 0) return;
+        const vehicle = vehicles.reduce((max, result) => result.reactionWithImpact > max.reactionWithImpact ? result : max);
+
+        try {
+            const response = await fetch('/analyze-moving-load', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ spans: [liveLoadAnalysis.span], vehicle: vehicle.key })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                const { envelope } = result.analysis;
+                this.charts.envelope.data.labels = envelope.map(station => station.x);
+                this.charts.envelope.data.datasets[0].data = envelope.map(station => station.maxShear);
+                this.charts.envelope.data.datasets[1].data = envelope.map(station => station.minShear);
+                this.charts.envelope.data.datasets[2].data = envelope.map(station => station.maxMoment);
+                this.charts.envelope.data.datasets[3].data = envelope.map(station => station.minMoment);
+                this.charts.envelope.update();
+            }
+        } catch (error) {
+            console.error('Moving load envelope failed:', error);
+        }
     }
 
     updateCharts(calculationResults) {
@@ -1035,6 +1159,8 @@ class CausewayDesignApp {
             this.charts.material.data.datasets[0].data = [concrete, steel, formwork];
             this.charts.material.update();
         }
+
+        this.updateEnvelopeChart(calculationResults);
     }
 
     updateAnalysis() {
@@ -31,10 +31,11 @@ const upload = multer({
     },
     fileFilter: (req, file, cb) => {
         if (file.mimetype === 'application/vnd.ms-excel' || 
-            file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+            file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
+            file.mimetype === 'text/csv') {
             cb(null, true);
         } else {
-            cb(new Error('Only Excel files are allowed'), false);
+            cb(new Error('Only Excel or CSV files are allowed'), false);
         }
     }
 });
@@ -72,6 +73,32 @@ app.post('/upload-excel', upload.single('excelFile'), (req, res) => {
     }
 });
 
+// Overrides from the request merged into the default design parameters key by key, so a partial nested
+// object (e.g. structure.wind.basicWindSpeed alone) keeps the other defaults; arrays are replaced whole
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function mergeDesignParams(defaults, overrides) {
+    if (!isPlainObject(overrides)) return defaults;
+    return Object.keys(overrides).reduce((merged, key) => {
+        merged[key] = isPlainObject(defaults[key]) && isPlainObject(overrides[key])
+            ? mergeDesignParams(defaults[key], overrides[key])
+            : overrides[key];
+        return merged;
+    }, { ...defaults });
+}
+
+// First override that replaces a nested parameter object with something else, as a dotted path
+function findInvalidOverride(defaults, overrides, prefix) {
+    if (!isPlainObject(overrides)) return null;
+    for (const key of Object.keys(overrides)) {
+        if (!isPlainObject(defaults[key]) || overrides[key] === undefined) continue;
+        if (!isPlainObject(overrides[key])) return `${prefix}.${key}`;
+        const nested = findInvalidOverride(defaults[key], overrides[key], `${prefix}.${key}`);
+        if (nested) return nested;
+    }
+    return null;
+}
+
 // Enhanced causeway calculations with detailed analysis - COMPLETE INTEGRATION
 app.post('/calculate-causeway', (req, res) => {
     try {
@@ -82,12 +109,29 @@ app.post('/calculate-causeway', (req, res) => {
             waterDepth, 
             soilType, 
             loadType,
-            safetyFactor 
+            safetyFactor,
+            hfl,
+            crossSection,
+            sections,
+            surplusWeir,
+            catchment,
+            ventway,
+            afflux,
+            scour,
+            structure,
+            materials,
+            earthPressure,
+            faceWall,
+            seismicZone,
+            windSpeed,
+            temperatureRange,
+            bearingType,
+            silt
         } = req.body;
 
         // SECTION 1: HYDRAULIC DESIGN PARAMETERS (from hydraulic_design.txt)
         const hydraulicParams = {
-            maximumFloodLevel: 6.235, // m
+            maximumFloodLevel: hfl ?? 6.235, // m
             ordinaryFloodLevel: 5.015, // m
             lowestBedLevel: 3.965, // m
             averageBedSlope: 0.0152, // 1 in 1000
@@ -95,24 +139,320 @@ app.post('/calculate-causeway', (req, res) => {
             bottomOfDeck: 5.165, // m
             roadCrestLevel: 5.645, // m
             carriageWayWidth: 6.000, // m
-            catchmentArea: 1.38, // sqkm
+            catchmentArea: catchment?.area ?? 1.38, // sqkm
+            catchmentMethod: catchment?.method || 'dickens', // dickens | ryves | inglis | rational
+            catchmentCoefficients: {
+                dickens: 11.7, // C in Q = C × A^(3/4)
+                ryves: 6.8, // C in Q = C × A^(2/3) (within 24 km of coast)
+                inglis: 124, // C in Q = C × A / √(A + 10.4)
+                rainfallIntensity: 50, // mm/hr (rational method)
+                runoffCoefficient: 0.5, // rational method
+                ...(catchment?.coefficients || {}),
+            },
+            // Tank surplus weir treated as broad-crested weir (head enquired locally); null when there is none
+            surplusWeir: surplusWeir === undefined ? {
+                crestLength: 22.75, // m
+                headOverCrest: 0.45, // m
+                coefficient: 2.26, // SI equivalent of Cd = 4.10 (FPS) adopted by irrigation authorities
+            } : surplusWeir,
+            // Surveyed chainage (m) / bed RL (m) points at the bridge site
+            crossSection: crossSection || [
+                { chainage: 0, bedLevel: 6.500 },
+                { chainage: 1, bedLevel: 5.340 },
+                { chainage: 2, bedLevel: 4.560 },
+                { chainage: 4, bedLevel: 3.965 },
+                { chainage: 6, bedLevel: 4.780 },
+                { chainage: 7, bedLevel: 5.300 },
+                { chainage: 9, bedLevel: 6.100 },
+                { chainage: 10, bedLevel: 6.420 },
+            ],
+        };
+
+        // Vents through the causeway (IRC SP:82-2008); unobstructed area measured on the causeway axis section
+        hydraulicParams.ventway = {
+            numberOfVents: 3,
+            ventSpan: 6.0, // m (clear span of each vent)
+            // m (vent invert); one level for all vents, or one per vent from left to right
+            // (left, middle and right spans vent 5.75, 6.88 and 5.95 sqm in hydraulic_design.txt)
+            ventFloorLevel: [4.207, 4.018, 4.174],
+            pipeVents: 12, // Nos of 900 mm dia pipes on either side of the spans
+            pipeDiameter: 0.9, // m
+            // Areas on the causeway axis section measured graphically (hydraulic_design.txt, from AutoCAD); they take
+            // precedence over the areas of crossSection. The sheet's figures are not cut from one section (66.53 + 30.06
+            // ≠ 79.33), so its obstruction is only reproduced from the measured areas; none with a surveyed section
+            measuredAreas: crossSection || ventway?.crossSection ? null : {
+                belowRTL: 66.53, // sqm between RTL and stream bed
+                belowHFL: 79.33, // sqm between HFL and stream bed
+                betweenRTLAndHFL: 30.06, // sqm available for flow over the road
+            },
+            // Causeway axis section, reconstructed to give 66.53 sqm below RTL and 45.38 m width at HFL (the sheet
+            // gives the areas but not the points); its width at HFL sets the channel width for afflux
+            crossSection: crossSection ? hydraulicParams.crossSection : [
+                { chainage: 0, bedLevel: 6.400 },
+                { chainage: 1.5, bedLevel: 5.645 },
+                { chainage: 3, bedLevel: 4.150 },
+                { chainage: 8, bedLevel: 4.000 },
+                { chainage: 14, bedLevel: 3.975 },
+                { chainage: 20, bedLevel: 3.965 },
+                { chainage: 26, bedLevel: 3.975 },
+                { chainage: 32, bedLevel: 3.995 },
+                { chainage: 38, bedLevel: 4.022 },
+                { chainage: 42, bedLevel: 4.150 },
+                { chainage: 44, bedLevel: 5.645 },
+                { chainage: 46.19, bedLevel: 6.400 },
+            ],
+            ...(ventway || {}),
+        };
+
+        const measuredAreas = hydraulicParams.ventway.measuredAreas;
+        const invalidArea = measuredAreas && Object.entries(measuredAreas).find(([, area]) => area !== null && area !== undefined && !(typeof area === 'number' && area > 0));
+        if (invalidArea) {
+            return res.status(400).json({ success: false, error: `ventway.measuredAreas.${invalidArea[0]} must be a positive area in sqm or null` });
+        }
+        const ventFloorLevels = hydraulicParams.ventway.ventFloorLevel;
+        if (Array.isArray(ventFloorLevels) && ventFloorLevels.length !== hydraulicParams.ventway.numberOfVents) {
+            return res.status(400).json({
+                success: false,
+                error: `ventway.ventFloorLevel must be one level or ${hydraulicParams.ventway.numberOfVents} levels, one per vent`
+            });
+        }
+
+        // Afflux at HFL through the constricted waterway (IRC SP:13)
+        hydraulicParams.afflux = {
+            method: 'orifice', // orifice | molesworth
+            linearWaterway: 28.80, // m
+            downstreamDepth: 0.80, // m (Dd)
+            dischargeCoefficient: 0.867, // Co from IRC SP:13 for a/A ≈ 0.71
+            approachVelocityFactor: 0.91, // e from IRC SP:13 for a/A ≈ 0.71
+            bankLevel: null, // m (lowest upstream bank/property level, checked when supplied)
+            ...(afflux || {}),
         };
 
+        // Lacey's scour with reference to HFL (IRC:5 / IRC:78)
+        hydraulicParams.scour = {
+            siltFactor: null, // f; derived from bedMaterialD50 when not given
+            bedMaterialD50: 1.29, // mm (pebbles & boulders, f ≈ 2.00)
+            dischargeIncrease: 1.30, // design discharge increased by 30% for foundations
+            reachType: 'straight', // straight | moderateBend | severeBend | rightAngleBend
+            // Dmax = 1.5 × D for the foundations (hydraulic_design.txt, IRC:5 clause 110.1.4.2); the piers stand on
+            // the same footings between launching aprons, so the sheet fixes one BFL on 1.5 × D for both
+            abutmentFactor: 1.5,
+            pierFactor: 1.5,
+            foundationLevel: 2.315, // m (proposed BFL)
+            abutmentFoundationLevel: null, // m (BFL of the abutments when it differs from foundationLevel)
+            pierFoundationLevel: null, // m (BFL of the piers when it differs from foundationLevel)
+            ...(scour || {}),
+        };
+
+        // Named discharge sections, each with its own slope and rugosity; the first is the bridge site
+        hydraulicParams.sections = sections || [
+            { name: 'Bridge site', hfl: hydraulicParams.maximumFloodLevel, crossSection: hydraulicParams.crossSection },
+        ].concat(crossSection ? [] : [
+            {
+                name: '300 m upstream',
+                hfl: 9.235,
+                bedSlope: 0.0152,
+                rugosityCoeff: 0.050,
+                crossSection: [
+                    { chainage: 0, bedLevel: 9.450 },
+                    { chainage: 1, bedLevel: 8.290 },
+                    { chainage: 2, bedLevel: 7.720 },
+                    { chainage: 4, bedLevel: 7.500 },
+                    { chainage: 6, bedLevel: 7.650 },
+                    { chainage: 8, bedLevel: 8.250 },
+                    { chainage: 10, bedLevel: 9.050 },
+                    { chainage: 13, bedLevel: 9.370 },
+                ],
+            },
+            {
+                name: '300 m downstream',
+                hfl: 4.035,
+                bedSlope: 0.0152,
+                rugosityCoeff: 0.050,
+                crossSection: [
+                    { chainage: 0, bedLevel: 4.400 },
+                    { chainage: 1, bedLevel: 3.240 },
+                    { chainage: 2, bedLevel: 2.460 },
+                    { chainage: 4, bedLevel: 1.660 },
+                    { chainage: 6, bedLevel: 1.770 },
+                    { chainage: 8, bedLevel: 3.200 },
+                    { chainage: 10, bedLevel: 3.750 },
+                    { chainage: 13, bedLevel: 4.320 },
+                ],
+            },
+        ]);
+
+        // A flood level at or below the lowest surveyed bed level leaves the section dry
+        const drySection = Array.isArray(hydraulicParams.sections) && hydraulicParams.sections.find(section => {
+            const bedLevels = (section.crossSection || []).map(point => parseFloat(point.bedLevel));
+            return bedLevels.length > 0 && (section.hfl ?? hydraulicParams.maximumFloodLevel) <= Math.min(...bedLevels);
+        });
+        if (drySection) {
+            return res.status(400).json({
+                success: false,
+                error: `HFL of ${drySection.hfl ?? hydraulicParams.maximumFloodLevel} m is not above the lowest bed level of ${drySection.name || 'the cross-section'}`
+            });
+        }
+        if (!Object.keys(SCOUR_BEND_FACTORS).includes(hydraulicParams.scour.reachType)) {
+            return res.status(400).json({ success: false, error: `scour.reachType must be one of ${Object.keys(SCOUR_BEND_FACTORS).join(', ')}, got ${JSON.stringify(hydraulicParams.scour.reachType)}` });
+        }
+        if (!CATCHMENT_METHODS.includes(hydraulicParams.catchmentMethod)) {
+            return res.status(400).json({ success: false, error: `catchment.method must be one of ${CATCHMENT_METHODS.join(', ')}, got ${JSON.stringify(hydraulicParams.catchmentMethod)}` });
+        }
+
+        const temperatureLimits = parseTemperatureRange(temperatureRange ?? '-5 to 45');
+        if (!temperatureLimits) {
+            return res.status(400).json({ success: false, error: `temperatureRange must give a minimum below the maximum in °C, e.g. "-5 to 45", got ${JSON.stringify(temperatureRange)}` });
+        }
+
         // SECTION 2: STRUCTURAL DESIGN PARAMETERS (from structural files)
-        const structuralParams = {
+        const structuralDefaults = {
             clearRightSpan: 6.00, // m
             deckSlabLength: 6.800, // m
+            carriageWayWidth: width || 6.000, // m (deck width, also length of substructure along it)
             deckSlabThickness: 0.480, // m (IRC SP 20)
             wearingCoatThickness: 0.075, // m
             guardStoneHeight: 0.750, // m
+            dirtWallThickness: 0.30, // m
+            dirtWallSectionArea: 0.370, // sqm
+            bedBlockThickness: 0.30, // m
+            bedBlockSectionArea: 0.410, // sqm
             stripFootingThickness: 0.45, // m
+            stripFootingWidth: 2.40, // m (along traffic)
+            stripFootingLength: 6.30, // m (across traffic)
             pierHeight: 1.200, // m
             abutmentHeight: 1.200, // m
             topWidthPier: 0.900, // m
             bottomWidthPier: 0.900, // m
             topWidthAbutment: 0.750, // m
             bottomWidthAbutment: 1.05, // m
+            abutmentFrontBatter: 0.300, // m (stream side)
+            abutmentBackBatter: 0.000, // m (bank side)
+            pierFrontBatter: 0.000, // m
+            pierBackBatter: 0.000, // m
+            liveLoadEccentricity: 0.543, // m (resultant of wheel loads and UDL, across traffic)
+            // Water current on the pier (IRC 6:2000, clause 213); shape: square | roundNosed | cutwater | trestle
+            // angleOfAttack is between the current and the pier axis (IRC allows for a 20° variation where the course may shift)
+            pierWaterCurrent: { shape: 'square', cutwaterAngle: 90, angleOfAttack: 0 },
+            // Water current on the square ended abutment over 1.0 m of its width, full height up to HFL (structural_design_abutment.txt)
+            abutmentWaterCurrent: { shape: 'square', width: 1.0 },
+            // Friction of the flow through the vents against the deck and substructure: f × ρ × (C × Vv)² (IRC SP:82, clause 7.11.2.2)
+            waterFriction: { coefficient: 1.0, velocityFraction: 0.10 },
+            // Drag and lift on the overtopped deck resisted by stainless steel anchor bars and VRCC thrust blocks (IRC SP:82)
+            deckAnchorage: {
+                dragCoefficient: 2.0, // CD for a solid slab deck
+                liftCoefficient: 0.75, // CL for a solid slab deck
+                anchorBarDiameter: 20, // mm (stainless steel)
+                anchorBarsPerSupport: 6, // Nos at each end of the span
+                anchorBarPermissibleTension: 150, // N/mm²
+                thrustBlocksPerSupport: 2, // Nos on the downstream side at each end of the span
+                thrustBlockLength: 0.45, // m (along traffic)
+                thrustBlockWidth: 0.30, // m (across traffic)
+                thrustBlockHeight: 0.30, // m (bearing against the edge of the deck)
+                permissibleBearingVRCC: 6.25, // N/mm² (0.25 fck, M25)
+                permissibleShearVRCC: 0.35, // N/mm² (plain concrete, M25)
+            },
+            // Buoyancy on submerged parts; full up to HFL with the canal full, and below the sub-soil water level with it dry
+            buoyancy: {
+                buoyancyFactor: 1.0, // fraction of the displaced water weight (1.0 for pervious foundation strata)
+                groundWaterLevel: null, // m (sub-soil water level with the canal dry; none when null)
+            },
+            // Wind on the deck and live load (IRC 6, clause 209)
+            wind: {
+                basicWindSpeed: windSpeed ?? 33, // m/s
+                terrain: 'plain', // plain | obstructed
+                gustFactor: 2.0, // G for spans up to 150 m
+                dragCoefficient: 1.5, // CD for the deck cross section
+                liveLoadDragCoefficient: 1.2, // CD for vehicles
+                liveLoadHeight: 3.0, // m (exposed height of vehicles)
+                guardStonePerforation: 0.5, // fraction of the guard stone line open to the wind
+                longitudinalRatio: 0.25, // longitudinal force as a fraction of transverse
+            },
+            // Solid deck slab reinforcement and limit state design (IRC 112:2011)
+            deckSlab: {
+                mainBarDiameter: 20, // mm
+                distributionBarDiameter: 12, // mm
+                aggregateSize: 20, // mm (maximum nominal size, for the clear spacing of bars)
+                partialFactors: { dead: 1.35, superimposed: 1.75, live: 1.5 }, // ULS (IRC 6, Annex B)
+                crackWidthLimit: 0.3, // mm (moderate exposure)
+                spanDepthLimit: 20, // basic ratio for a simply supported slab
+            },
+            // Silt deposited over the deck when the flood recedes (IRC SP:82-2008, clause 7.11.3.4)
+            silt: {
+                depth: 0.150, // m
+                density: 15, // KN/m³
+                ...(silt || {}),
+            },
+            // Bearings under the deck; none | elastomeric | slidingFixedFree (fixed at the pier, free at the abutment)
+            bearings: {
+                type: bearingType ?? 'none', // pile-design.txt: no bearings proposed
+                frictionCoefficient: 0.05, // μ of sliding (PTFE) bearings
+                shearModulus: 1.0, // N/mm² (G of elastomer)
+                planArea: 0.0625, // m² per elastomeric bearing
+                elastomerThickness: 0.040, // m (total thickness of the elastomer layers)
+                perSupport: 4, // Nos of bearings under each end of the span
+                seatFrictionCoefficient: 0.5, // μ of the deck slab sliding on its concrete seat with no bearings
+            },
+            // Temperature and shrinkage of the deck (IRC 6:2000, clause 218); deck cast at the mean temperature
+            temperature: {
+                ...temperatureLimits, // °C
+                coefficient: 11.7e-6, // per °C (IRC 6:2000, clause 218.5)
+                shrinkageStrain: 2e-4, // shortening added to the temperature fall
+            },
+            // Seismic forces (IRC 6, clause 219); none in Zone I
+            seismic: {
+                zone: seismicZone || 'I',
+                importanceFactor: 1.0, // I (1.2 for important bridges)
+                responseReduction: 1.0, // R for plain concrete and masonry substructures
+                spectralAcceleration: 2.5, // Sa/g on the plateau of the spectrum for stiff substructures
+                liveLoadParticipation: 0.2, // fraction of live load with seismic, across traffic only
+                orthogonalRatio: 0.3, // transverse seismic force taken with the full longitudinal
+                stressIncrease: 1.5, // on permissible stresses in the seismic combination (IRC 6:2000, Table 1)
+                overturningFactor: 1.5, // minimum in the seismic combination (IRC 78:2000, clause 706.3.4)
+                slidingFactor: 1.25,
+            },
+            // Partial factors applied to each load case in the envelopes (working stress, as in the calc sheets)
+            loadFactors: { dead: 1.0, live: 1.0, water: 1.0, earth: 1.0, wind: 1.0, braking: 1.0, temperature: 1.0, seismic: 1.0 },
+            // Stepped footing tiers below the stems, top tier first
+            // (width along traffic, thickness, canal side offset beyond the stem toe)
+            abutmentFootings: [
+                { width: 1.35, thickness: 0.30, canalOffset: 0.15 },
+                { width: 1.50, thickness: 0.30, canalOffset: 0.30 },
+                { width: 1.65, thickness: 0.30, canalOffset: 0.45 },
+            ],
+            pierFootings: [
+                { width: 1.20, thickness: 0.30, canalOffset: 0.15 },
+                { width: 1.50, thickness: 0.30, canalOffset: 0.30 },
+                { width: 1.80, thickness: 0.30, canalOffset: 0.45 },
+            ],
         };
+        const invalidOverride = findInvalidOverride(structuralDefaults, structure, 'structure');
+        if (invalidOverride) {
+            return res.status(400).json({ success: false, error: `${invalidOverride} must be an object of parameters` });
+        }
+        const structuralParams = mergeDesignParams(structuralDefaults, structure);
+        const basicWindSpeed = structuralParams.wind.basicWindSpeed;
+        if (typeof basicWindSpeed !== 'number' || !(basicWindSpeed > 0) || !isFinite(basicWindSpeed)) {
+            return res.status(400).json({ success: false, error: `windSpeed must be a positive number in m/s, got ${JSON.stringify(basicWindSpeed)}` });
+        }
+        // The earth pressure takes seismicZone and the structure its seismic.zone, which defaults to it
+        const invalidZone = [seismicZone, structuralParams.seismic.zone].find(zone => !(String(zone || 'I').toUpperCase() in SEISMIC_ZONE_FACTORS));
+        if (invalidZone !== undefined) {
+            return res.status(400).json({ success: false, error: `seismicZone must be one of ${Object.keys(SEISMIC_ZONE_FACTORS).join(', ')}, got ${JSON.stringify(invalidZone)}` });
+        }
+        const { depth: siltDepth, density: siltDensity } = structuralParams.silt;
+        if (typeof siltDepth !== 'number' || !(siltDepth >= 0) || !isFinite(siltDepth)) {
+            return res.status(400).json({ success: false, error: `silt.depth must be a number of metres, zero or more, got ${JSON.stringify(siltDepth)}` });
+        }
+        if (typeof siltDensity !== 'number' || !(siltDensity > 0) || !isFinite(siltDensity)) {
+            return res.status(400).json({ success: false, error: `silt.density must be a positive number in KN/m³, got ${JSON.stringify(siltDensity)}` });
+        }
+        if (loadType && !Object.keys(LIVE_LOAD_TYPES).includes(loadType)) {
+            return res.status(400).json({ success: false, error: `loadType must be one of ${Object.keys(LIVE_LOAD_TYPES).join(', ')}, got ${JSON.stringify(loadType)}` });
+        }
+        if (!BEARING_TYPES.includes(structuralParams.bearings.type)) {
+            return res.status(400).json({ success: false, error: `bearingType must be one of ${BEARING_TYPES.join(', ')}, got ${JSON.stringify(structuralParams.bearings.type)}` });
+        }
 
         // SECTION 3: MATERIAL PROPERTIES (from all text files)
         const materialProps = {
@@ -125,6 +465,11 @@ app.post('/calculate-causeway', (req, res) => {
             steelGrade: 415, // N/mm² (fy - Fe415)
             coverToReinforcement: 50, // mm
             safeBearingCapacity: 15.00, // t/m²
+            permissibleDirectCompression: 5.0, // N/mm² (M20 footings)
+            permissibleBendingTension: 2.8, // N/mm² (M20 footings)
+            frictionCoefficientConcrete: 0.80, // between concrete surfaces
+            frictionCoefficientSoil: 0.50, // between concrete and foundation soil
+            ...(materials || {}),
         };
 
         // SECTION 4: EARTH PRESSURE PARAMETERS (from face_walls.txt)
@@ -135,25 +480,49 @@ app.post('/calculate-causeway', (req, res) => {
             angleWallFriction: 15, // degrees (δ)
             surchargeHeight: 1.20, // m
             backfillUnitWeight: 18, // KN/m³
+            theory: 'coulomb', // 'coulomb' or 'rankine' for the abutment backfill
+            ...(earthPressure || {}),
+        };
+        
+        // Face wall on the approaches (face_walls.txt, BIT-I); angles override the abutment values above
+        const faceWallParams = {
+            height: 2.40, // m
+            topWidth: 0.30, // m
+            bottomWidth: 1.50, // m
+            heelWidth: 0.30, // m (footing projection under the backfill)
+            toeWidth: 0, // m (footing projection in front of the wall)
+            angleWallFace: 63.47, // degrees (α)
+            angleWallFriction: 20, // degrees (δ)
+            slopeBackfill: 0, // degrees (β) of the approach embankment
+            surchargeHeight: 0.60, // m
+            frictionCoefficient: 0.5, // between soil and footing
+            toeDepth: 0, // m of soil in front of the toe counted for passive resistance
+            theory: 'coulomb', // 'coulomb' or 'rankine'
+            ...(faceWall || {}),
         };
 
         // SECTION 5: ADVANCED HYDRAULIC CALCULATIONS
         const hydraulicResults = calculateHydraulicDesign(hydraulicParams, length, width);
         
-        // SECTION 6: COMPREHENSIVE LOAD ANALYSIS
-        const loadAnalysis = calculateComprehensiveLoads(structuralParams, materialProps, length, width, height, waterDepth);
+        // SECTION 6: EARTH PRESSURE CALCULATIONS (Coulomb's or Rankine's Theory)
+        const earthPressureResults = calculateEarthPressure(earthPressureParams, faceWallParams, materialProps, seismicZone);
+        const abutmentEarthPressure = calculateAbutmentEarthPressure(structuralParams, earthPressureParams, calculateEarthPressureCoefficients(earthPressureParams), seismicZone);
         
-        // SECTION 7: EARTH PRESSURE CALCULATIONS (Coulomb's Theory)
-        const earthPressureResults = calculateEarthPressure(earthPressureParams, structuralParams.abutmentHeight);
+        // SECTION 7: COMPREHENSIVE LOAD ANALYSIS
+        const loadAnalysis = calculateComprehensiveLoads(structuralParams, materialProps, length, width, height, waterDepth, loadType, hydraulicResults, abutmentEarthPressure);
         
         // SECTION 8: FOUNDATION DESIGN WITH MULTIPLE FOOTINGS
-        const foundationResults = calculateFoundationDesign(loadAnalysis, materialProps, length, width);
+        const foundationResults = calculateFoundationDesign(structuralParams, materialProps, loadAnalysis);
+        
+        // SECTION 8a: PIER AND ABUTMENT DESIGN
+        const pierResults = calculatePierDesign(structuralParams, materialProps, loadAnalysis, foundationResults);
+        const abutmentResults = calculateAbutmentDesign(structuralParams, materialProps, loadAnalysis, foundationResults, abutmentEarthPressure);
         
         // SECTION 9: STRUCTURAL ANALYSIS WITH IRC STANDARDS
-        const structuralResults = calculateStructuralAnalysis(structuralParams, loadAnalysis, length, width, height);
+        const structuralResults = calculateStructuralAnalysis(structuralParams, materialProps, loadAnalysis);
         
         // SECTION 10: COMPREHENSIVE SAFETY CHECKS
-        const safetyResults = performComprehensiveSafetyChecks(foundationResults, structuralResults, earthPressureResults, safetyFactor);
+        const safetyResults = performComprehensiveSafetyChecks(foundationResults, structuralResults, earthPressureResults, safetyFactor, hydraulicResults, loadAnalysis);
 
         // Basic structural calculations (enhanced)
         const volume = length * width * height;
@@ -184,16 +553,30 @@ app.post('/calculate-causeway', (req, res) => {
             hydraulics: hydraulicResults,
             loads: {
                 deadLoad: loadAnalysis.deadLoad,
+                deadLoadComponents: loadAnalysis.deadLoadComponents,
                 liveLoad: loadAnalysis.liveLoad,
+                liveLoadAnalysis: loadAnalysis.liveLoadAnalysis,
+                criticalReaction: loadAnalysis.criticalReaction,
+                envelopes: loadAnalysis.envelopes,
+                deckHydrodynamics: loadAnalysis.deckHydrodynamics,
+                waterPressures: loadAnalysis.waterPressures,
                 impactLoad: loadAnalysis.liveLoad * loadAnalysis.impactFactor,
                 windLoad: loadAnalysis.environmentalLoads.windLoad,
-                waterCurrentForce: (loadAnalysis.waterForces.waterCurrentDeck || 0) + (loadAnalysis.waterForces.waterCurrentPier || 0),
+                windLoads: loadAnalysis.windLoads,
+                siltLoad: loadAnalysis.siltLoad.load,
+                silt: loadAnalysis.siltLoad,
+                longitudinalForces: loadAnalysis.longitudinalForces,
+                waterCurrentForce: (loadAnalysis.waterForces.waterCurrentDeck || 0) + (loadAnalysis.waterCurrentOnPier.force || 0),
                 buoyancy: loadAnalysis.waterForces.buoyancy,
+                buoyancyAnalysis: loadAnalysis.buoyancy,
+                seismic: loadAnalysis.seismic,
                 totalVertical: loadAnalysis.totalVertical,
                 impactFactor: loadAnalysis.impactFactor
             },
             earthPressure: earthPressureResults,
             foundation: foundationResults,
+            pier: pierResults,
+            abutment: abutmentResults,
             structural: structuralResults,
             safetyChecks: safetyResults,
         };
@@ -237,15 +620,35 @@ app.post('/calculate-causeway', (req, res) => {
                 bedSlope: { value: hydraulicParams.averageBedSlope },
                 rugosityCoeff: { value: hydraulicParams.rugosityCoeff },
                 catchmentArea: { value: hydraulicParams.catchmentArea, unit: 'km²' },
+                catchmentMethod: { value: hydraulicParams.catchmentMethod },
             },
             hydraulics: {
                 designDischarge: Math.round(hydraulicResults.designDischarge * 100) / 100,
+                flowArea: hydraulicResults.flowArea,
+                wettedPerimeter: hydraulicResults.wettedPerimeter,
+                manningDischarge: hydraulicResults.manningDischarge,
+                crossSectionTable: hydraulicResults.crossSectionTable,
+                sections: hydraulicResults.sections.map(({ table, ...section }) => section),
+                governingSection: hydraulicResults.governingSection,
+                governingReason: hydraulicResults.governingReason,
+                catchmentDischarges: hydraulicResults.catchmentDischarges.map(({ method, name, formula, discharge }) => ({ method, name, formula, discharge })),
+                catchmentMethod: hydraulicResults.catchmentMethod,
+                weirDischarge: hydraulicResults.weirDischarge,
+                designDischargeMethod: hydraulicResults.designDischargeMethod,
                 hydraulicRadius: Math.round(hydraulicResults.hydraulicRadius * 100) / 100,
                 velocity: Math.round(hydraulicResults.velocity * 100) / 100,
                 ventPercentage: Math.round(hydraulicResults.ventPercentage * 100) / 100,
+                ventway: hydraulicResults.ventway,
+                afflux: hydraulicResults.afflux,
+                affluxDetails: hydraulicResults.affluxDetails,
                 scourDepth: Math.round(hydraulicResults.scourDepth * 100) / 100,
+                scour: hydraulicResults.scour,
+                roadCrestLevel: hydraulicResults.roadCrestLevel,
             },
             loads: engineeringResults.loads,
+            pier: pierResults,
+            abutment: abutmentResults,
+            deckSlab: structuralResults,
             calculations: {
                 volume,
                 surfaceArea,
@@ -255,8 +658,9 @@ app.post('/calculate-causeway', (req, res) => {
                 totalLoad: Math.round(totalLoad * 100) / 100,
                 foundationPressure: Math.round(foundationPressure * 100) / 100,
                 safetyMargin: Math.round(safetyMargin * 100) / 100,
-                bendingMoment: Math.round(structuralResults.maxBendingMoment * 100) / 100,
-                deflection: Math.round(structuralResults.maxDeflection * 100) / 100,
+                footingStresses: foundationResults.tierStresses,
+                bendingMoment: structuralResults.moments.ultimate, // KN-m per m of deck slab
+                mainSteel: structuralResults.mainSteel.designation,
                 materials: {
                     concrete: Math.round(concreteVolume * 100) / 100,
                     steel: Math.round(steelWeight * 100) / 100,
@@ -267,6 +671,9 @@ app.post('/calculate-causeway', (req, res) => {
                 foundation: safetyResults.foundation,
                 ventway: safetyResults.ventway,
                 scour: safetyResults.scour,
+                footingStresses: safetyResults.footingStresses,
+                deckAnchorage: safetyResults.deckAnchorage,
+                deckSlab: safetyResults.deckSlab,
                 deflection: safetyResults.deflection,
                 overall: safetyResults.overall,
             },
@@ -295,237 +702,2894 @@ app.post('/calculate-causeway', (req, res) => {
 
 // HYDRAULIC DESIGN CALCULATIONS (from hydraulic_design.txt)
 function calculateHydraulicDesign(params, length, width) {
+    // Area-velocity discharge at every surveyed section (site, upstream, downstream)
+    if (!Array.isArray(params.sections) || params.sections.length === 0) {
+        throw new Error('At least one discharge section is required');
+    }
+    const sectionResults = params.sections.map((section, i) => calculateSectionDischarge({ name: `Section ${i + 1}`, ...section }, params));
+    // The first section is at the proposed bridge site and gives the stream's design discharge, as the sheet
+    // adopts; sections upstream and downstream flow at other flood levels and are reported for comparison only
+    const siteSection = sectionResults[0];
+    const largestSection = sectionResults.reduce((max, section) => section.discharge > max.discharge ? section : max);
+    
+    const hydraulicRadius = siteSection.hydraulicRadius; // R = A/P
+    const velocity = siteSection.velocity;
+    const manningDischarge = siteSection.discharge;
+    const governingReason = sectionResults.length > 1
+        ? `Discharge at the proposed bridge site adopted; the largest of ${sectionResults.length} sections is ${largestSection.discharge} m³/sec at ${largestSection.name}`
+        : `Only ${siteSection.name} surveyed`;
+    
+    // Catchment area methods, all computed side by side; the selected one competes with area-velocity
+    const catchmentDischarges = calculateCatchmentDischarges(params.catchmentArea, params.catchmentCoefficients);
+    const catchmentResult = catchmentDischarges.find(result => result.method === params.catchmentMethod);
+    if (!catchmentResult) {
+        throw new Error(`Unknown catchment discharge method: ${params.catchmentMethod}`);
+    }
+    
+    // Surplus weir of upstream tank adds to the stream discharge
+    const weirDischarge = calculateSurplusWeirDischarge(params.surplusWeir);
+    const weirLabel = weirDischarge > 0 ? ' + surplus weir' : '';
+    const dischargeCandidates = [
+        { method: `Area-velocity${weirLabel}`, discharge: manningDischarge + weirDischarge },
+        { method: `${catchmentResult.name}${weirLabel}`, discharge: catchmentResult.discharge + weirDischarge },
+    ];
+    const governingMethod = dischargeCandidates.reduce((max, candidate) => candidate.discharge > max.discharge ? candidate : max);
+    const designDischarge = governingMethod.discharge;
+    
+    // Ventway calculations (IRC SP:82-2008)
+    const ventwayResults = calculateVentway(params);
+    const ventPercentage = ventwayResults.ventPercentage;
+    
+    // Afflux through the constricted waterway at HFL
+    const affluxResults = calculateAfflux(params, designDischarge, ventwayResults);
+    
+    // Scour depth calculation (Lacey's equation)
+    const scourResults = calculateScour(params, designDischarge);
+    const scourDepth = scourResults.maximumScourDepth;
+    
+    return {
+        maximumFloodLevel: params.maximumFloodLevel,
+        lowestBedLevel: params.lowestBedLevel,
+        bottomOfDeck: params.bottomOfDeck,
+        roadCrestLevel: params.roadCrestLevel,
+        flowArea: siteSection.flowArea,
+        wettedPerimeter: siteSection.wettedPerimeter,
+        crossSectionTable: siteSection.table,
+        rugosityCoeff: siteSection.rugosityCoeff,
+        bedSlope: siteSection.bedSlope,
+        hydraulicRadius: Math.round(hydraulicRadius * 100) / 100,
+        velocity: Math.round(velocity * 100) / 100,
+        sections: sectionResults,
+        governingSection: siteSection.name,
+        governingReason: governingReason,
+        manningDischarge: Math.round(manningDischarge * 100) / 100,
+        catchmentDischarges: catchmentDischarges,
+        catchmentMethod: catchmentResult.name,
+        catchmentDischarge: catchmentResult.discharge,
+        surplusWeir: params.surplusWeir,
+        weirDischarge: Math.round(weirDischarge * 100) / 100,
+        designDischargeMethod: governingMethod.method,
+        designDischarge: Math.round(designDischarge * 100) / 100,
+        ventPercentage: Math.round(ventPercentage * 100) / 100,
+        ventway: ventwayResults,
+        scourDepth: Math.round(scourDepth * 100) / 100,
+        scour: scourResults,
+        afflux: affluxResults.afflux,
+        affluxDetails: affluxResults,
+    };
+}
+
+// VENTWAY AND OBSTRUCTION CHECK (IRC SP:82-2008 clause 5.1.3)
+function calculateVentway(params) {
+    const vent = params.ventway;
+    
+    // Vented area = rectangular vents up to deck soffit + pipe vents
+    const floorLevels = Array.isArray(vent.ventFloorLevel)
+        ? vent.ventFloorLevel
+        : Array(vent.numberOfVents).fill(vent.ventFloorLevel);
+    if (floorLevels.length !== vent.numberOfVents) {
+        throw new Error(`Give one vent floor level for each of the ${vent.numberOfVents} vents`);
+    }
+    const ventHeights = floorLevels.map(level => params.bottomOfDeck - level);
+    if (ventHeights.some(height => !(height > 0))) {
+        throw new Error('Vent floor level must be below the bottom of deck');
+    }
+    const spanVentArea = ventHeights.reduce((sum, height) => sum + vent.ventSpan * height, 0);
+    const pipeVentArea = vent.pipeVents * Math.PI * Math.pow(vent.pipeDiameter, 2) / 4;
+    const ventedArea = spanVentArea + pipeVentArea;
+    
+    // Unobstructed area of the stream between RTL / HFL and the stream bed; vents larger than it
+    // mean the vent dimensions do not fit the section, and the check fails
+    const measured = vent.measuredAreas || {};
+    const unobstructedAreaRTL = measured.belowRTL ?? calculateCrossSectionProperties(vent.crossSection, params.roadCrestLevel).totalArea;
+    const unobstructedAreaHFL = measured.belowHFL ?? calculateCrossSectionProperties(vent.crossSection, params.maximumFloodLevel).totalArea;
+    const fitsSection = ventedArea <= unobstructedAreaRTL;
+    
+    // At HFL the flow passes through the vents and over the road top
+    const areaOverRoad = measured.betweenRTLAndHFL ?? Math.max(unobstructedAreaHFL - unobstructedAreaRTL, 0);
+    const areaAvailableAtHFL = Math.min(ventedArea + areaOverRoad, unobstructedAreaHFL);
+    
+    const ventPercentage = (ventedArea / unobstructedAreaRTL) * 100;
+    const obstructionAtRTL = 100 - ventPercentage;
+    const obstructionAtHFL = (1 - areaAvailableAtHFL / unobstructedAreaHFL) * 100;
+    
+    return {
+        ventHeights: ventHeights.map(height => Math.round(height * 1000) / 1000),
+        spanVentArea: Math.round(spanVentArea * 100) / 100,
+        pipeVentArea: Math.round(pipeVentArea * 100) / 100,
+        ventedArea: Math.round(ventedArea * 100) / 100,
+        unobstructedAreaRTL: unobstructedAreaRTL,
+        unobstructedAreaHFL: unobstructedAreaHFL,
+        areaAvailableAtHFL: Math.round(areaAvailableAtHFL * 100) / 100,
+        ventPercentage: Math.round(ventPercentage * 100) / 100,
+        obstructionAtRTL: Math.round(obstructionAtRTL * 100) / 100,
+        obstructionAtHFL: Math.round(obstructionAtHFL * 100) / 100,
+        obstructionLimitRTL: 70, // %
+        obstructionLimitHFL: 30, // %
+        fitsSection: fitsSection,
+        warning: fitsSection ? null : `Vented area of ${Math.round(ventedArea * 100) / 100} sqm exceeds the unobstructed area of ${unobstructedAreaRTL} sqm below RTL; check vent dimensions and cross-section`,
+        isAdequate: fitsSection && obstructionAtRTL <= 70 && obstructionAtHFL <= 30,
+    };
+}
+
+// Lacey's factors on the normal scour depth for the reach of the stream at the bridge (IRC:5)
+const SCOUR_BEND_FACTORS = { straight: 1.27, moderateBend: 1.5, severeBend: 1.75, rightAngleBend: 2.0 };
+
+// LACEY'S SCOUR DEPTH AND FOUNDATION LEVEL CHECK (IRC:5, IRC:78)
+function calculateScour(params, designDischarge) {
+    const options = params.scour;
+    const bendFactor = SCOUR_BEND_FACTORS[options.reachType];
+    if (!bendFactor) {
+        throw new Error(`Unknown reach type for scour: ${options.reachType}`);
+    }
+    
+    // Silt factor f = 1.76 × √d50 (mm)
+    const siltFactor = options.siltFactor || 1.76 * Math.sqrt(options.bedMaterialD50);
+    if (!(siltFactor > 0)) {
+        throw new Error('Scour requires a silt factor or bed material d50 greater than zero');
+    }
+    
+    // Discharge for foundations and Lacey's regime width W = 4.8 × √Q
+    const foundationDischarge = options.dischargeIncrease * designDischarge;
+    const regimeWidth = 4.8 * Math.sqrt(foundationDischarge);
+    const linearWaterway = options.linearWaterway || params.afflux.linearWaterway;
+    
+    // Normal scour depth below HFL: discharge-per-metre form when the waterway is narrower than regime width
+    let normalScourDepth;
+    let dischargeIntensity = null;
+    if (linearWaterway < regimeWidth) {
+        dischargeIntensity = foundationDischarge / linearWaterway;
+        normalScourDepth = 1.34 * Math.pow(Math.pow(dischargeIntensity, 2) / siltFactor, 1/3);
+    } else {
+        normalScourDepth = 0.473 * Math.pow(foundationDischarge / siltFactor, 1/3);
+    }
+    
+    // Maximum scour at each support, never less than the scour in the reach; its BFL must sit below the
+    // maximum scour level by max(1.2 m, Dmax/3)
+    const bendScourDepth = bendFactor * normalScourDepth;
+    const round = (value, places = 100) => Math.round(value * places) / places;
+    const checkSupport = (factor, foundationLevel) => {
+        const scourDepth = Math.max(factor, bendFactor) * normalScourDepth;
+        const scourLevel = params.maximumFloodLevel - scourDepth;
+        const requiredMargin = Math.max(1.2, scourDepth / 3);
+        const requiredFoundationLevel = scourLevel - requiredMargin;
+        return {
+            factor: Math.max(factor, bendFactor),
+            scourDepth: round(scourDepth),
+            scourLevel: round(scourLevel, 1000),
+            requiredMargin: round(requiredMargin),
+            requiredFoundationLevel: round(requiredFoundationLevel, 1000),
+            foundationLevel: foundationLevel,
+            isSafe: foundationLevel <= requiredFoundationLevel,
+        };
+    };
+    const abutment = checkSupport(options.abutmentFactor, options.abutmentFoundationLevel ?? options.foundationLevel);
+    const pier = checkSupport(options.pierFactor, options.pierFoundationLevel ?? options.foundationLevel);
+    const governing = abutment.scourDepth >= pier.scourDepth ? abutment : pier;
+    
+    return {
+        siltFactor: round(siltFactor),
+        foundationDischarge: round(foundationDischarge),
+        regimeWidth: round(regimeWidth),
+        linearWaterway: linearWaterway,
+        dischargeIntensity: dischargeIntensity === null ? null : round(dischargeIntensity, 1000),
+        normalScourDepth: round(normalScourDepth),
+        pierScourDepth: pier.scourDepth,
+        abutmentScourDepth: abutment.scourDepth,
+        bendScourDepth: round(bendScourDepth),
+        reachType: options.reachType,
+        abutment: abutment,
+        pier: pier,
+        maximumScourDepth: governing.scourDepth,
+        maximumScourLevel: governing.scourLevel,
+        requiredMargin: governing.requiredMargin,
+        requiredFoundationLevel: governing.requiredFoundationLevel,
+        foundationLevel: options.foundationLevel,
+        isFoundationSafe: abutment.isSafe && pier.isSafe,
+    };
+}
+
+// AFFLUX CALCULATIONS AT HFL (Molesworth or orifice formula, IRC SP:13)
+function calculateAfflux(params, designDischarge, ventwayResults) {
+    const options = params.afflux;
+    const g = 9.81; // m/sec²
+    const naturalArea = ventwayResults.unobstructedAreaHFL; // A
+    const constrictedArea = ventwayResults.areaAvailableAtHFL; // a
+    let afflux;
+    let substituted;
+    
+    if (options.method === 'molesworth') {
+        // h = (V²/17.85 + 0.0152) × (A²/a² − 1), V = mean velocity in the unobstructed stream
+        const naturalVelocity = designDischarge / naturalArea;
+        afflux = (Math.pow(naturalVelocity, 2) / 17.85 + 0.0152) * (Math.pow(naturalArea / constrictedArea, 2) - 1);
+        substituted = `h = (${Math.round(naturalVelocity * 100) / 100}²/17.85 + 0.0152) × (${naturalArea}²/${constrictedArea}² − 1)`;
+    } else if (options.method === 'orifice') {
+        // Q = Co × √(2g) × L × Dd × [h + (1+e) × u²/2g]^(1/2), u = Q / (W × (Dd + h)); solved for h by bisection
+        const channelWidth = options.channelWidth || calculateCrossSectionProperties(params.ventway.crossSection, params.maximumFloodLevel).topWidth;
+        const Dd = options.downstreamDepth;
+        const headRequired = Math.pow(designDischarge / (options.dischargeCoefficient * Math.sqrt(2 * g) * options.linearWaterway * Dd), 2);
+        const residual = h => {
+            const approachVelocity = designDischarge / (channelWidth * (Dd + h));
+            return h + (1 + options.approachVelocityFactor) * Math.pow(approachVelocity, 2) / (2 * g) - headRequired;
+        };
+        
+        let low = 0;
+        let high = Math.max(10 * Dd, 10);
+        if (residual(low) >= 0) {
+            afflux = 0;
+        } else {
+            for (let i = 0; i < 60; i++) {
+                const mid = (low + high) / 2;
+                if (residual(mid) > 0) high = mid; else low = mid;
+            }
+            afflux = (low + high) / 2;
+        }
+        substituted = `${Math.round(designDischarge * 100) / 100} = ${options.dischargeCoefficient} × √(2g) × ${options.linearWaterway} × ${Dd} × [h + (1+${options.approachVelocityFactor}) × u²/2g]^(1/2), W = ${Math.round(channelWidth * 100) / 100}`;
+    } else {
+        throw new Error(`Unknown afflux method: ${options.method}`);
+    }
+    
+    // Upstream water level against the lowest bank / property level, when supplied
+    const upstreamWaterLevel = params.maximumFloodLevel + afflux;
+    const hasBankLevel = options.bankLevel !== null && options.bankLevel !== undefined;
+    const exceedsBankLevel = hasBankLevel && upstreamWaterLevel > options.bankLevel;
+    
+    return {
+        method: options.method,
+        afflux: Math.round(afflux * 1000) / 1000,
+        substituted: substituted,
+        naturalArea: naturalArea,
+        constrictedArea: constrictedArea,
+        upstreamWaterLevel: Math.round(upstreamWaterLevel * 1000) / 1000,
+        bankLevel: hasBankLevel ? options.bankLevel : null,
+        exceedsBankLevel: exceedsBankLevel,
+        warning: exceedsBankLevel
+            ? `Afflux raises upstream water level to ${Math.round(upstreamWaterLevel * 1000) / 1000} m, above bank/property level of ${options.bankLevel} m`
+            : null,
+    };
+}
+
+// Catchment discharge methods a request may select as the one competing with area-velocity
+const CATCHMENT_METHODS = ['dickens', 'ryves', 'inglis', 'rational'];
+
+// CATCHMENT AREA DISCHARGE METHODS (empirical and rational, regional coefficients)
+function calculateCatchmentDischarges(area, coefficients) {
+    if (!(area > 0)) {
+        throw new Error('Catchment area must be greater than zero');
+    }
+    
+    const methods = [
+        {
+            method: 'dickens',
+            name: "Dicken's",
+            formula: 'Q = C × A^(3/4)',
+            substituted: `Q = ${coefficients.dickens} × ${area}^(3/4)`,
+            discharge: coefficients.dickens * Math.pow(area, 3/4),
+        },
+        {
+            method: 'ryves',
+            name: "Ryve's",
+            formula: 'Q = C × A^(2/3)',
+            substituted: `Q = ${coefficients.ryves} × ${area}^(2/3)`,
+            discharge: coefficients.ryves * Math.pow(area, 2/3),
+        },
+        {
+            method: 'inglis',
+            name: 'Inglis',
+            formula: 'Q = C × A / √(A + 10.4)',
+            substituted: `Q = ${coefficients.inglis} × ${area} / √(${area} + 10.4)`,
+            discharge: coefficients.inglis * area / Math.sqrt(area + 10.4),
+        },
+        {
+            method: 'rational',
+            name: 'Rational',
+            formula: 'Q = 0.278 × C × i × A',
+            substituted: `Q = 0.278 × ${coefficients.runoffCoefficient} × ${coefficients.rainfallIntensity} × ${area}`,
+            discharge: 0.278 * coefficients.runoffCoefficient * coefficients.rainfallIntensity * area,
+        },
+    ];
+    
+    return methods.map(result => ({ ...result, discharge: Math.round(result.discharge * 100) / 100 }));
+}
+
+// SURPLUS WEIR DISCHARGE (broad-crested weir: Q = C × L × H^(3/2))
+function calculateSurplusWeirDischarge(weir) {
+    if (!weir) return 0;
+    
+    const crestLength = parseFloat(weir.crestLength) || 0;
+    const headOverCrest = parseFloat(weir.headOverCrest) || 0;
+    const coefficient = parseFloat(weir.coefficient) || 0;
+    if (crestLength < 0 || headOverCrest < 0 || coefficient < 0) {
+        throw new Error('Surplus weir crest length, head over crest and coefficient must not be negative');
+    }
+    
+    return coefficient * crestLength * Math.pow(headOverCrest, 3/2);
+}
+
+// AREA-VELOCITY DISCHARGE AT ONE NAMED SECTION (Manning's formula)
+function calculateSectionDischarge(section, params) {
+    const floodLevel = section.hfl ?? params.maximumFloodLevel;
+    const bedSlope = section.bedSlope ?? params.averageBedSlope;
+    const rugosityCoeff = section.rugosityCoeff ?? params.rugosityCoeff;
+    const crossSectionalData = calculateCrossSectionProperties(section.crossSection, floodLevel);
+    
     // Manning's Formula: V = (1/n) × R^(2/3) × S^(1/2)
-    const crossSectionalData = {
-        totalArea: 11.74, // sqm (from survey data)
-        wettedPerimeter: 10.99, // m
+    const hydraulicRadius = crossSectionalData.hydraulicRadius;
+    const velocity = (1 / rugosityCoeff) * Math.pow(hydraulicRadius, 2/3) * Math.pow(bedSlope, 1/2);
+    const discharge = crossSectionalData.totalArea * velocity; // Q = A × V
+    
+    return {
+        name: section.name,
+        hfl: floodLevel,
+        bedSlope: bedSlope,
+        rugosityCoeff: rugosityCoeff,
+        flowArea: crossSectionalData.totalArea,
+        wettedPerimeter: crossSectionalData.wettedPerimeter,
+        hydraulicRadius: Math.round(hydraulicRadius * 100) / 100,
+        velocity: Math.round(velocity * 100) / 100,
+        discharge: Math.round(discharge * 100) / 100,
+        table: crossSectionalData.table,
+    };
+}
+
+// CROSS-SECTION PROPERTIES FROM SURVEYED CHAINAGE / BED RL TABLE
+function calculateCrossSectionProperties(points, floodLevel) {
+    if (!Array.isArray(points) || points.length < 2) {
+        throw new Error('Cross-section requires at least two chainage/bed level points');
+    }
+    
+    // Depth of flow at each chainage, measured below the flood level
+    const stations = points.map(point => ({
+        chainage: parseFloat(point.chainage),
+        bedLevel: parseFloat(point.bedLevel),
+    }));
+    stations.forEach((station, i) => {
+        if (isNaN(station.chainage) || isNaN(station.bedLevel)) {
+            throw new Error(`Cross-section point ${i + 1} must have numeric chainage and bedLevel`);
+        }
+        if (i > 0 && station.chainage <= stations[i - 1].chainage) {
+            throw new Error('Cross-section chainages must be in increasing order');
+        }
+        station.depth = Math.max(floodLevel - station.bedLevel, 0);
+    });
+    
+    // Strip-wise area, wetted perimeter and top width between consecutive chainages;
+    // a partly wetted strip is cut at the waterline, interpolated along its bed
+    const strips = stations.map((station, i) => {
+        const previous = i > 0 ? stations[i - 1] : null;
+        const distance = previous ? station.chainage - previous.chainage : 0;
+        if (!previous || (previous.depth <= 0 && station.depth <= 0)) {
+            return { station, distance, wettedWidth: 0, area: 0, wettedPerimeter: 0 };
+        }
+        const rise = Math.abs(station.bedLevel - previous.bedLevel);
+        const wettedWidth = previous.depth > 0 && station.depth > 0
+            ? distance
+            : distance * Math.max(previous.depth, station.depth) / rise;
+        return {
+            station,
+            distance,
+            wettedWidth,
+            area: (previous.depth + station.depth) / 2 * wettedWidth,
+            wettedPerimeter: Math.sqrt(Math.pow(wettedWidth, 2) + Math.pow(station.depth - previous.depth, 2)),
+        };
+    });
+    const table = strips.map(({ station, distance, wettedWidth, area, wettedPerimeter }) => ({
+        chainage: station.chainage,
+        bedLevel: station.bedLevel,
+        depth: Math.round(station.depth * 100) / 100,
+        averageDepth: wettedWidth > 0 ? Math.round(area / wettedWidth * 100) / 100 : 0,
+        distance: distance,
+        wettedWidth: Math.round(wettedWidth * 100) / 100,
+        area: Math.round(area * 100) / 100,
+        wettedPerimeter: Math.round(wettedPerimeter * 100) / 100,
+    }));
+    
+    // Totals from the unrounded strips, rounded once
+    const totalArea = strips.reduce((sum, strip) => sum + strip.area, 0);
+    const wettedPerimeter = strips.reduce((sum, strip) => sum + strip.wettedPerimeter, 0);
+    const topWidth = strips.reduce((sum, strip) => sum + strip.wettedWidth, 0);
+    if (totalArea <= 0 || wettedPerimeter <= 0) {
+        throw new Error('Flood level does not inundate the surveyed cross-section');
+    }
+    
+    return {
+        totalArea: Math.round(totalArea * 100) / 100,
+        wettedPerimeter: Math.round(wettedPerimeter * 100) / 100,
+        topWidth: Math.round(topWidth * 100) / 100,
+        hydraulicRadius: totalArea / wettedPerimeter,
+        table: table,
+    };
+}
+
+// COMPREHENSIVE LOAD CALCULATIONS (from all structural files)
+function calculateComprehensiveLoads(structuralParams, materialProps, length, width, height, waterDepth, loadType, hydraulicResults, abutmentEarthPressure) {
+    // Dead Load Components (one span with its abutment and pier, from structuralParams geometry)
+    const deadLoadComponents = calculateDeadLoadComponents(structuralParams, materialProps);
+    
+    const totalDeadLoad = deadLoadComponents.reduce((sum, component) => sum + component.load, 0);
+    
+    // IRC Live Load for the selected load type, placed on the actual span (from pile-design.txt)
+    const liveLoadAnalysis = calculateLiveLoads(loadType, structuralParams.deckSlabLength, structuralParams.carriageWayWidth);
+    const liveLoadComponents = {
+        totalLiveLoad: liveLoadAnalysis.governing.maxLoadOnSpan, // KN
+        impactFactor: liveLoadAnalysis.governing.impactFactor, // IRC 6:2000 clause 211
+        criticalReaction: liveLoadAnalysis.governing.reactionWithImpact, // KN
+    };
+    
+    // Water current on the pier from the design velocity (IRC 6:2000, clause 213)
+    const waterCurrentOnPier = calculateWaterCurrentOnPier(structuralParams, hydraulicResults);
+    
+    // Buoyancy of each submerged component and uplift under the deck
+    const buoyancy = calculateBuoyancy(structuralParams, materialProps, hydraulicResults);
+    const upliftForce = buoyancy.uplift.force; // KN (w × h × area)
+    
+    // Drag and lift on the deck of one span when the flood overtops it (IRC SP:82-2008)
+    const deckWeight = deadLoadComponents
+        .filter(component => component.support === 'superstructure')
+        .reduce((sum, component) => sum + component.load, 0);
+    const deckHydrodynamics = calculateDeckHydrodynamicForces(structuralParams, hydraulicResults, upliftForce, deckWeight);
+    
+    // Additional live load of silt over the deck after a flood (IRC SP:82-2008, clause 7.11.3.4)
+    const siltLoad = calculateSiltLoad(structuralParams);
+    
+    // Current on the abutment, friction of the vent flow and static head of the afflux (IRC SP:82-2008, clause 7.11.2.2)
+    const waterPressures = calculateWaterPressureForces(structuralParams, materialProps, hydraulicResults, hydraulicResults.designDischarge / hydraulicResults.ventway.ventedArea);
+    
+    // Water Forces (from hydraulic calculations)
+    const waterForces = {
+        buoyancy: buoyancy.pier.canalFull.total, // KN (submerged volume × water unit weight)
+        upliftForce: upliftForce,
+        waterCurrentDeck: deckHydrodynamics.drag, // KN (½ρCDV² × area)
+        liftDeck: deckHydrodynamics.lift, // KN (½ρCLV² × plan area)
+        silt: siltLoad.load, // KN (deposit over the deck of one span)
+        waterCurrentPier: waterCurrentOnPier.forceX, // KN (on the pier end)
+        waterCurrentPierNormal: waterCurrentOnPier.forceY, // KN (on the pier side)
+        waterCurrentAbutment: waterPressures.abutmentCurrent.force, // KN (52KV² on 1.0 m of the abutment)
+        frictionDeck: waterPressures.deckFriction.force, // KN (friction coefficient × ρ × (C × Vv)² × area)
+        frictionAbutment: waterPressures.abutment.friction.force, // KN (canal side face)
+        frictionPier: waterPressures.pier.friction.force, // KN (both faces)
+        staticPressure: waterPressures.pier.staticPressure.force, // KN (upstream end of the pier)
+        staticPressureAbutment: waterPressures.abutment.staticPressure.force, // KN (upstream end of the abutment)
+    };
+    
+    // Wind on the deck and on the live load from the basic wind speed (IRC 6, clause 209)
+    const windLoads = calculateWindLoads(structuralParams, hydraulicResults);
+    
+    // Braking and temperature/shrinkage along traffic, shared by the ends of the span through the bearings
+    const longitudinalForces = calculateLongitudinalForces(structuralParams, hydraulicResults, liveLoadAnalysis, deckWeight);
+    
+    // Seismic inertia of the structure and hydrodynamic force on the piers (IRC 6, clause 219)
+    const seismic = calculateSeismicForces(structuralParams, materialProps, hydraulicResults, deadLoadComponents, liveLoadComponents.criticalReaction);
+    
+    // Environmental Loads
+    const environmentalLoads = {
+        windLoad: Math.round((windLoads.deck.transverse + windLoads.liveLoad.transverse) * 100) / 100, // KN (transverse, deck and live load)
+        windDeck: windLoads.deck,
+        windLiveLoad: windLoads.liveLoad,
+        tractiveForce: longitudinalForces.braking.force, // KN (20% of the train load on the span)
+        braking: longitudinalForces.braking,
+        temperature: longitudinalForces.temperature,
+        seismicForce: seismic ? seismic.superstructure.horizontal : 0, // KN (superstructure of one span; none in Zone I)
+    };
+    
+    // Earth pressure on the abutment with backfill intact, with and without live load surcharge
+    const earthPressureForces = {
+        withSurcharge: abutmentEarthPressure.withSurcharge,
+        withoutSurcharge: abutmentEarthPressure.withoutSurcharge,
+        seismic: abutmentEarthPressure.seismic, // Mononobe-Okabe increment, Zone III and above
+    };
+    
+    // Heights of horizontal forces above the top of the RCC strip footing (m)
+    const leverArms = {
+        windDeck: windLoads.deck.leverArm,
+        windLiveLoad: windLoads.liveLoad.leverArm,
+        braking: longitudinalForces.braking.leverArm,
+        temperature: longitudinalForces.temperature.leverArm,
+        waterCurrentDeck: deckHydrodynamics.dragLeverArm,
+        waterCurrentPier: waterCurrentOnPier.leverArm,
+        waterCurrentAbutment: waterPressures.abutmentCurrent.leverArm,
+        frictionDeck: waterPressures.deckFriction.leverArm,
+        frictionAbutment: waterPressures.abutment.friction.leverArm,
+        frictionPier: waterPressures.pier.friction.leverArm,
+        staticPressureAbutment: waterPressures.abutment.staticPressure.leverArm,
+        staticPressure: waterPressures.pier.staticPressure.leverArm,
+        earthPressureFooting: structuralParams.abutmentFootings.reduce((sum, footing) => sum + footing.thickness, 0), // added to height above stem base
+        earthPressureVerticalEccentricity: abutmentEarthPressure.verticalEccentricity,
+    };
+    
+    const selfWeightEccentricities = {
+        abutment: calculateSelfWeightEccentricities('abutment', structuralParams, materialProps),
+        pier: calculateSelfWeightEccentricities('pier', structuralParams, materialProps),
+    };
+    
+    const envelopes = calculateLoadEnvelopes(structuralParams, materialProps, {
+        deadLoadComponents,
+        selfWeightEccentricities,
+        criticalReaction: liveLoadComponents.criticalReaction,
+        waterForces,
+        environmentalLoads,
+        earthPressureForces,
+        leverArms,
+        buoyancy,
+        seismic,
+    });
+    
+    return {
+        deadLoad: Math.round(totalDeadLoad * 100) / 100,
+        deadLoadComponents: deadLoadComponents,
+        liveLoad: liveLoadComponents.totalLiveLoad,
+        liveLoadAnalysis: liveLoadAnalysis,
+        criticalReaction: liveLoadComponents.criticalReaction,
+        waterForces: waterForces,
+        environmentalLoads: environmentalLoads,
+        earthPressureForces: earthPressureForces,
+        waterCurrentOnPier: waterCurrentOnPier,
+        waterPressures: waterPressures,
+        windLoads: windLoads,
+        siltLoad: siltLoad,
+        longitudinalForces: longitudinalForces,
+        deckHydrodynamics: deckHydrodynamics,
+        buoyancy: buoyancy,
+        seismic: seismic,
+        selfWeightEccentricities: selfWeightEccentricities,
+        envelopes: envelopes,
+        totalVertical: totalDeadLoad + liveLoadComponents.totalLiveLoad,
+        impactFactor: liveLoadComponents.impactFactor,
+    };
+}
+
+// SELF WEIGHT ECCENTRICITY OF STEM AND FOOTINGS (pile-design.txt / structural_design_abutment.txt, III.ix-xii)
+// Distances are measured from the canal side toe; eccentricity is positive towards the bank side
+function calculateSelfWeightEccentricities(support, structuralParams, materialProps) {
+    const p = structuralParams;
+    const isAbutment = support === 'abutment';
+    const topWidth = isAbutment ? p.topWidthAbutment : p.topWidthPier;
+    const bottomWidth = isAbutment ? p.bottomWidthAbutment : p.bottomWidthPier;
+    const height = isAbutment ? p.abutmentHeight : p.pierHeight;
+    const frontBatter = isAbutment ? p.abutmentFrontBatter : p.pierFrontBatter;
+    const backBatter = isAbutment ? p.abutmentBackBatter : p.pierBackBatter;
+    const footings = p[`${support}Footings`];
+    const unitWeight = materialProps.unitWeightPCC * p.carriageWayWidth; // KN per m² of section
+    
+    if (Math.abs(topWidth + frontBatter + backBatter - bottomWidth) > 0.001) {
+        throw new Error(`${support} top width plus batters (${topWidth + frontBatter + backBatter} m) must equal bottom width (${bottomWidth} m)`);
+    }
+    
+    const canalOffset = footing => footing.canalOffset ?? (footing.width - bottomWidth) / 2;
+    const stem = [
+        { description: 'Back batter', load: 0.5 * backBatter * height * unitWeight, distance: frontBatter + topWidth + backBatter / 3 },
+        { description: 'Centre portion', load: topWidth * height * unitWeight, distance: frontBatter + topWidth / 2 },
+        { description: 'Front batter', load: 0.5 * frontBatter * height * unitWeight, distance: 2 * frontBatter / 3 },
+    ];
+    
+    // Level 0 is the base of the stem, level k the bottom of the k-th footing
+    return [0, ...footings.map((_, i) => i + 1)].map(level => {
+        const toeShift = level === 0 ? 0 : canalOffset(footings[level - 1]);
+        const width = level === 0 ? bottomWidth : footings[level - 1].width;
+        const items = [
+            ...stem.map(item => ({ ...item, distance: item.distance + toeShift })),
+            ...footings.slice(0, level).map((footing, i) => ({
+                description: `${['1st', '2nd', '3rd', '4th', '5th'][i]} footing`,
+                load: footing.width * footing.thickness * unitWeight,
+                distance: toeShift - canalOffset(footing) + footing.width / 2,
+            })),
+        ].map(item => ({
+            description: item.description,
+            load: Math.round(item.load * 100) / 100,
+            distance: Math.round(item.distance * 1000) / 1000,
+            moment: Math.round(item.load * item.distance * 100) / 100,
+        }));
+        
+        const load = items.reduce((sum, item) => sum + item.load, 0);
+        const moment = items.reduce((sum, item) => sum + item.moment, 0);
+        const resultant = load > 0 ? moment / load : width / 2;
+        
+        return {
+            level: level === 0 ? `Base of ${support}` : `Bottom of ${items[items.length - 1].description}`,
+            width: width,
+            items: items,
+            load: Math.round(load * 100) / 100,
+            moment: Math.round(moment * 100) / 100,
+            resultant: Math.round(resultant * 1000) / 1000,
+            eccentricity: Math.round((resultant - width / 2) * 1000) / 1000,
+        };
+    });
+}
+
+// Hourly mean wind pressure Pz (N/m²) against height for a basic wind speed of 33 m/s (IRC 6, Table 12)
+const WIND_PRESSURE_TABLE = [
+    { height: 10, plain: 463.70, obstructed: 190.50 },
+    { height: 15, plain: 512.50, obstructed: 230.50 },
+    { height: 20, plain: 550.60, obstructed: 265.30 },
+    { height: 30, plain: 590.20, obstructed: 312.20 },
+    { height: 50, plain: 652.70, obstructed: 373.40 },
+    { height: 60, plain: 676.70, obstructed: 393.60 },
+    { height: 70, plain: 693.60, obstructed: 412.80 },
+    { height: 80, plain: 711.20, obstructed: 433.30 },
+    { height: 90, plain: 729.00, obstructed: 453.30 },
+    { height: 100, plain: 744.50, obstructed: 466.40 },
+];
+
+// WIND LOAD (IRC 6, clause 209) - F = Pz × A × G × CD on the deck and on the live load, longitudinal at 25% of transverse
+// Pz is read at the height of the deck above the bed and scaled by (Vb / 33)² for other basic wind speeds
+function calculateWindLoads(structuralParams, hydraulicResults) {
+    const p = structuralParams;
+    const wind = p.wind;
+    if (!['plain', 'obstructed'].includes(wind.terrain)) {
+        throw new Error(`Unknown terrain: ${wind.terrain}. Use plain or obstructed`);
+    }
+    
+    const roadLevel = hydraulicResults.bottomOfDeck + p.deckSlabThickness + p.wearingCoatThickness;
+    const exposureHeight = Math.max(roadLevel - hydraulicResults.lowestBedLevel, 0); // above ground or water
+    const upper = WIND_PRESSURE_TABLE.findIndex(row => row.height >= exposureHeight);
+    let tablePressure;
+    if (upper === 0) {
+        tablePressure = WIND_PRESSURE_TABLE[0][wind.terrain];
+    } else if (upper === -1) {
+        tablePressure = WIND_PRESSURE_TABLE[WIND_PRESSURE_TABLE.length - 1][wind.terrain];
+    } else {
+        const low = WIND_PRESSURE_TABLE[upper - 1];
+        const high = WIND_PRESSURE_TABLE[upper];
+        tablePressure = low[wind.terrain] + (high[wind.terrain] - low[wind.terrain]) * (exposureHeight - low.height) / (high.height - low.height);
+    }
+    const pressure = tablePressure * Math.pow(wind.basicWindSpeed / 33, 2) / 1000; // KN/m²
+    
+    // Deck: slab, wearing coat and guard stones less their perforations, over one span
+    const exposedDepth = p.deckSlabThickness + p.wearingCoatThickness + p.guardStoneHeight * (1 - wind.guardStonePerforation);
+    const deckArea = exposedDepth * p.deckSlabLength;
+    const deckTransverse = pressure * deckArea * wind.gustFactor * wind.dragCoefficient;
+    // Live load: vehicles taken 3 m high over the span, acting 1.5 m above the road
+    const liveLoadArea = wind.liveLoadHeight * p.deckSlabLength;
+    const liveLoadTransverse = pressure * liveLoadArea * wind.gustFactor * wind.liveLoadDragCoefficient;
+    
+    const stripTopLevel = hydraulicResults.scour.foundationLevel + p.stripFootingThickness;
+    const round = value => Math.round(value * 100) / 100;
+    return {
+        basicWindSpeed: wind.basicWindSpeed,
+        terrain: wind.terrain,
+        exposureHeight: round(exposureHeight),
+        pressure: Math.round(pressure * 1000) / 1000, // KN/m²
+        deck: {
+            exposedDepth: Math.round(exposedDepth * 1000) / 1000,
+            area: round(deckArea),
+            transverse: round(deckTransverse),
+            longitudinal: round(deckTransverse * wind.longitudinalRatio),
+            leverArm: round(hydraulicResults.bottomOfDeck + exposedDepth / 2 - stripTopLevel), // above top of RCC strip footing
+        },
+        liveLoad: {
+            area: round(liveLoadArea),
+            transverse: round(liveLoadTransverse),
+            longitudinal: round(liveLoadTransverse * wind.longitudinalRatio),
+            leverArm: round(roadLevel + 1.5 - stripTopLevel),
+        },
+    };
+}
+
+// Shape factor K for water current on piers (IRC 6:2000, clause 213.2)
+const PIER_SHAPE_FACTORS = {
+    square: 1.5, // square ended piers
+    roundNosed: 0.66, // circular piers or piers with semicircular cutwaters
+    trestle: 1.25, // small trestle type piers
+};
+
+// Triangular cutwaters: K = 0.5 up to 30°, rising to 0.7 at 60° and 0.9 at 90° (included angle)
+function getPierShapeFactor(shape, cutwaterAngle) {
+    if (shape === 'cutwater') {
+        const angle = Math.min(Math.max(cutwaterAngle, 30), 90);
+        return angle <= 60 ? 0.5 + (angle - 30) / 30 * 0.2 : 0.7 + (angle - 60) / 30 * 0.2;
+    }
+    if (!(shape in PIER_SHAPE_FACTORS)) {
+        throw new Error(`Unknown pier shape: ${shape}. Use one of ${[...Object.keys(PIER_SHAPE_FACTORS), 'cutwater'].join(', ')}`);
+    }
+    return PIER_SHAPE_FACTORS[shape];
+}
+
+// WATER CURRENT ON PIER (IRC 6:2000, clause 213) - P = 52KV²
+// V² varies linearly from zero at the bed to 2V̄² at HFL, so the pressure is triangular over the flow depth;
+// a current at θ to the pier axis is resolved into V cos θ on the pier end (x) and V sin θ on its side (y)
+function calculateWaterCurrentOnPier(structuralParams, hydraulicResults) {
+    const p = structuralParams;
+    const current = p.pierWaterCurrent;
+    const shapeFactor = getPierShapeFactor(current.shape, current.cutwaterAngle);
+    const theta = current.angleOfAttack * Math.PI / 180;
+    
+    // Levels: pier base above the RCC strip footing and stepped footings; exposure from the bed up to HFL or the deck soffit
+    const footingDepth = p.pierFootings.reduce((sum, footing) => sum + footing.thickness, 0);
+    const stripTopLevel = hydraulicResults.scour.foundationLevel + p.stripFootingThickness;
+    const exposedBottom = Math.max(hydraulicResults.lowestBedLevel, stripTopLevel + footingDepth);
+    const exposedTop = Math.min(hydraulicResults.maximumFloodLevel, hydraulicResults.bottomOfDeck);
+    const flowDepth = hydraulicResults.maximumFloodLevel - hydraulicResults.lowestBedLevel;
+    const exposedHeight = Math.max(exposedTop - exposedBottom, 0);
+    
+    const { surfaceVelocity, surfacePressure, forcePerMetre, centroid } = calculateCurrentPressure(hydraulicResults, shapeFactor, exposedBottom, exposedTop);
+    
+    const endArea = p.bottomWidthPier * exposedHeight; // m² facing the current
+    const sideArea = p.carriageWayWidth * exposedHeight; // m² along the pier
+    const forceX = forcePerMetre * p.bottomWidthPier * Math.pow(Math.cos(theta), 2);
+    const forceY = forcePerMetre * p.carriageWayWidth * Math.pow(Math.sin(theta), 2);
+    const round = value => Math.round(value * 100) / 100;
+    
+    return {
+        shape: current.shape,
+        shapeFactor: round(shapeFactor),
+        angleOfAttack: current.angleOfAttack,
+        surfaceVelocity: round(surfaceVelocity),
+        pressure: round(surfacePressure), // Kg/m² at HFL
+        flowDepth: round(flowDepth),
+        exposedHeight: round(exposedHeight),
+        exposedArea: Math.round(endArea * 1000) / 1000,
+        sideArea: Math.round(sideArea * 1000) / 1000,
+        forceX: round(forceX), // parallel to the pier, on its end
+        forceY: round(forceY), // normal to the pier, on its side
+        force: round(Math.hypot(forceX, forceY)),
+        leverArm: round(exposedBottom - stripTopLevel + centroid), // above top of RCC strip footing
+    };
+}
+
+// Current pressure 52KV² over a face from exposedBottom to exposedTop, V² growing linearly from zero at the bed to 2V̄² at HFL
+function calculateCurrentPressure(hydraulicResults, shapeFactor, exposedBottom, exposedTop) {
+    const flowDepth = hydraulicResults.maximumFloodLevel - hydraulicResults.lowestBedLevel;
+    const exposedHeight = Math.max(exposedTop - exposedBottom, 0);
+    const surfaceVelocity = Math.sqrt(2) * hydraulicResults.velocity; // maximum velocity = √2 × mean velocity
+    const surfacePressure = 52 * shapeFactor * Math.pow(surfaceVelocity, 2); // Kg/m² at HFL
+    // Pressure grows linearly from the bed, reaching P × h / D at the top of the exposed height
+    const topPressure = flowDepth > 0 ? surfacePressure * (exposedTop - hydraulicResults.lowestBedLevel) / flowDepth : 0;
+    const bottomPressure = flowDepth > 0 ? surfacePressure * (exposedBottom - hydraulicResults.lowestBedLevel) / flowDepth : 0;
+    return {
+        surfaceVelocity: surfaceVelocity,
+        surfacePressure: surfacePressure,
+        forcePerMetre: 0.5 * (topPressure + bottomPressure) * exposedHeight * 9.81 / 1000, // KN per metre of face
+        centroid: topPressure + bottomPressure > 0
+            ? exposedHeight * (bottomPressure + 2 * topPressure) / (3 * (bottomPressure + topPressure))
+            : 0, // above the bottom of the exposed height
+    };
+}
+
+// WATER ON THE ABUTMENT AND WATER PRESSURES (IRC 6:2000, clause 213; IRC SP:82-2008, clause 7.11.2.2)
+// Current on 1.0 m of the abutment, friction of the vent flow on the deck and substructure faces, and the static head of
+// the afflux against the upstream end of each support; heights are above the top of the RCC strip footing
+function calculateWaterPressureForces(structuralParams, materialProps, hydraulicResults, ventVelocity) {
+    const p = structuralParams;
+    const w = materialProps.unitWeightWater; // KN/m³
+    const hfl = hydraulicResults.maximumFloodLevel;
+    const stripTopLevel = hydraulicResults.scour.foundationLevel + p.stripFootingThickness;
+    const deckDepth = p.deckSlabThickness + p.wearingCoatThickness;
+    const round = value => Math.round(value * 100) / 100;
+    
+    // Face of each support in the water: from the bed or the top of its footings up to HFL or the deck soffit
+    const exposure = (footings, top) => {
+        const bottom = Math.max(hydraulicResults.lowestBedLevel, stripTopLevel + footings.reduce((sum, footing) => sum + footing.thickness, 0));
+        return { bottom: bottom, top: top, height: Math.max(top - bottom, 0) };
+    };
+    const faces = {
+        abutment: { ...exposure(p.abutmentFootings, Math.min(hfl, hydraulicResults.bottomOfDeck)), width: p.bottomWidthAbutment, wettedFaces: 1 }, // canal side only
+        pier: { ...exposure(p.pierFootings, Math.min(hfl, hydraulicResults.bottomOfDeck)), width: p.bottomWidthPier, wettedFaces: 2 },
+    };
+    
+    // Current on the abutment, full height up to HFL
+    const abutmentFace = exposure(p.abutmentFootings, hfl);
+    const current = calculateCurrentPressure(hydraulicResults, getPierShapeFactor(p.abutmentWaterCurrent.shape), abutmentFace.bottom, abutmentFace.top);
+    
+    // Friction: f × ρ × (C × Vv)² on the soffit and, once overtopped, the top of the deck; on the sides of the supports
+    const friction = p.waterFriction;
+    const frictionPressure = friction.coefficient * (w / 9.81) * Math.pow(friction.velocityFraction * ventVelocity, 2); // KN/m²
+    const deckFaces = (hfl > hydraulicResults.bottomOfDeck ? 1 : 0) + (hfl > hydraulicResults.roadCrestLevel ? 1 : 0);
+    const deckFrictionArea = deckFaces * p.clearRightSpan * p.carriageWayWidth; // m²
+    
+    // Static head: zero at the surface, w × z down to h = afflux or deck depth whichever is more, w × h below that
+    const h = Math.max(hydraulicResults.afflux, deckDepth);
+    const staticPressure = face => {
+        const depthTop = hfl - face.top;
+        const depthBottom = hfl - face.bottom;
+        let force = 0;
+        let moment = 0; // about the bottom of the face, per metre width
+        if (depthTop < h && depthBottom > depthTop) {
+            const a = depthTop;
+            const b = Math.min(depthBottom, h);
+            force += w * (b * b - a * a) / 2;
+            moment += w * (depthBottom * (b * b - a * a) / 2 - (b * b * b - a * a * a) / 3);
+        }
+        if (depthBottom > h) {
+            const c = Math.max(depthTop, h);
+            force += w * h * (depthBottom - c);
+            moment += w * h * (depthBottom * (depthBottom - c) - (depthBottom * depthBottom - c * c) / 2);
+        }
+        return {
+            force: round(force * face.width),
+            leverArm: round(face.bottom - stripTopLevel + (force > 0 ? moment / force : 0)),
+        };
+    };
+    
+    const result = {
+        ventVelocity: round(ventVelocity),
+        frictionPressure: Math.round(frictionPressure * 10000) / 10000,
+        staticHead: Math.round(h * 1000) / 1000,
+        abutmentCurrent: {
+            pressure: round(current.surfacePressure), // Kg/m² at HFL
+            exposedHeight: round(abutmentFace.height),
+            force: round(current.forcePerMetre * p.abutmentWaterCurrent.width),
+            leverArm: round(abutmentFace.bottom - stripTopLevel + current.centroid),
+        },
+        deckFriction: {
+            area: round(deckFrictionArea),
+            force: round(frictionPressure * deckFrictionArea),
+            leverArm: round(hydraulicResults.bottomOfDeck + deckDepth / 2 - stripTopLevel),
+        },
     };
+    ['abutment', 'pier'].forEach(support => {
+        const face = faces[support];
+        const frictionArea = face.wettedFaces * p.carriageWayWidth * face.height;
+        result[support] = {
+            exposedHeight: round(face.height),
+            friction: {
+                area: round(frictionArea),
+                force: round(frictionPressure * frictionArea),
+                leverArm: round(face.bottom + face.height / 2 - stripTopLevel),
+            },
+            staticPressure: staticPressure(face),
+        };
+    });
+    return result;
+}
+
+// BUOYANCY AND UPLIFT (IRC 6:2000, clause 216.4) - weight of water displaced by the submerged volume of each component
+// Canal full: full buoyancy up to HFL; canal dry: partial buoyancy of the parts below the sub-soil water level, if any
+function calculateBuoyancy(structuralParams, materialProps, hydraulicResults) {
+    const p = structuralParams;
+    const options = p.buoyancy;
+    const w = materialProps.unitWeightWater; // KN/m³
+    const foundationLevel = hydraulicResults.scour.foundationLevel;
+    const stripTopLevel = foundationLevel + p.stripFootingThickness;
+    const round = value => Math.round(value * 100) / 100;
     
-    const hydraulicRadius = crossSectionalData.totalArea / crossSectionalData.wettedPerimeter; // R = A/P
-    const velocity = (1 / params.rugosityCoeff) * Math.pow(hydraulicRadius, 2/3) * Math.pow(params.averageBedSlope, 1/2);
-    const designDischarge = crossSectionalData.totalArea * velocity; // Q = A × V
+    // Prismatic or battered pieces: submerged volume from the bottom up to the water level
+    const piece = (component, tier, bottom, height, length, bottomWidth, topWidth = bottomWidth) => ({
+        component: component,
+        tier: tier,
+        bottom: bottom,
+        top: bottom + height,
+        submergedVolume: waterLevel => {
+            const depth = Math.min(Math.max(waterLevel - bottom, 0), height);
+            const widthAtWater = bottomWidth + (topWidth - bottomWidth) * depth / height;
+            return (bottomWidth + widthAtWater) / 2 * depth * length;
+        },
+    });
+    
+    const supportPieces = support => {
+        const isAbutment = support === 'abutment';
+        const footings = p[`${support}Footings`];
+        const stemBase = stripTopLevel + footings.reduce((sum, footing) => sum + footing.thickness, 0);
+        const stemHeight = isAbutment ? p.abutmentHeight : p.pierHeight;
+        const stemTop = stemBase + stemHeight;
+        // Footing tiers stack up from the strip footing, bottom tier last in the list
+        let level = stripTopLevel;
+        const tiers = footings.map((footing, i) => ({ footing, tier: i + 1 })).reverse().map(({ footing, tier }) => {
+            const item = piece(`${support === 'abutment' ? 'Abutment' : 'Pier'} footing ${tier}`, tier, level, footing.thickness, p.carriageWayWidth, footing.width);
+            level += footing.thickness;
+            return item;
+        }).reverse();
+        
+        return [
+            isAbutment
+                ? piece('Dirt wall', 0, stemTop, getDirtWallHeight(p), p.carriageWayWidth, p.dirtWallThickness)
+                : piece('Bed block', 0, stemTop, p.bedBlockThickness, p.carriageWayWidth, p.bedBlockSectionArea / p.bedBlockThickness),
+            isAbutment
+                ? piece('Abutment stem', 0, stemBase, stemHeight, p.carriageWayWidth, p.bottomWidthAbutment, p.topWidthAbutment)
+                : piece('Pier stem', 0, stemBase, stemHeight, p.carriageWayWidth, p.bottomWidthPier, p.topWidthPier),
+            ...tiers,
+            piece('RCC strip footing', 'strip', foundationLevel, p.stripFootingThickness, p.stripFootingLength, p.stripFootingWidth),
+        ];
+    };
+    
+    const condition = (pieces, waterLevel, description) => {
+        const items = pieces.map(item => {
+            const submergedVolume = waterLevel === null ? 0 : item.submergedVolume(waterLevel);
+            return {
+                component: item.component,
+                tier: item.tier,
+                bottomLevel: Math.round(item.bottom * 1000) / 1000,
+                topLevel: Math.round(item.top * 1000) / 1000,
+                submergedVolume: Math.round(submergedVolume * 1000) / 1000,
+                force: round(submergedVolume * w * options.buoyancyFactor),
+            };
+        });
+        return {
+            description: description,
+            waterLevel: waterLevel,
+            factor: options.buoyancyFactor,
+            items: items,
+            total: round(items.filter(item => item.tier !== 'strip').reduce((sum, item) => sum + item.force, 0)), // above the RCC strip footing
+            stripFooting: round(items.filter(item => item.tier === 'strip').reduce((sum, item) => sum + item.force, 0)),
+        };
+    };
+    
+    // Uplift under the deck: w × h × Asp, h the greater of afflux and deck depth less the velocity head gained in the vents
+    const deckDepth = p.deckSlabThickness + p.wearingCoatThickness;
+    const ventVelocity = hydraulicResults.designDischarge / hydraulicResults.ventway.ventedArea;
+    const headLoss = Math.max((Math.pow(ventVelocity, 2) - Math.pow(hydraulicResults.velocity, 2)) / (2 * 9.81), 0);
+    const submergedDeckDepth = Math.min(Math.max(hydraulicResults.maximumFloodLevel - hydraulicResults.bottomOfDeck, 0), deckDepth);
+    const upliftHead = submergedDeckDepth > 0 ? Math.max(hydraulicResults.afflux, submergedDeckDepth - headLoss) : 0;
+    const upliftForce = w * upliftHead * p.deckSlabLength * p.carriageWayWidth;
+    
+    const result = {
+        uplift: {
+            ventVelocity: round(ventVelocity),
+            headLoss: Math.round(headLoss * 1000) / 1000,
+            head: Math.round(upliftHead * 1000) / 1000,
+            area: round(p.deckSlabLength * p.carriageWayWidth), // Asp
+            force: round(upliftForce), // one span
+        },
+    };
+    ['abutment', 'pier'].forEach(support => {
+        const pieces = supportPieces(support);
+        result[support] = {
+            canalFull: condition(pieces, hydraulicResults.maximumFloodLevel, 'Full buoyancy up to HFL'),
+            canalDry: condition(pieces, options.groundWaterLevel, 'Partial buoyancy below sub-soil water level'),
+        };
+    });
+    return result;
+}
+
+// DRAG AND LIFT ON THE OVERTOPPED DECK (IRC SP:82-2008) - F = ½ρCV²A with V = √2 × mean velocity
+// Lift and the hydrostatic uplift are held down by anchor bars, drag by thrust blocks, shared by the two ends of the span
+function calculateDeckHydrodynamicForces(structuralParams, hydraulicResults, upliftForce, deckWeight) {
+    const p = structuralParams;
+    const a = p.deckAnchorage;
+    const deckDepth = p.deckSlabThickness + p.wearingCoatThickness;
+    const overtoppingDepth = Math.max(hydraulicResults.maximumFloodLevel - hydraulicResults.roadCrestLevel, 0);
+    const submergedDepth = Math.min(Math.max(hydraulicResults.maximumFloodLevel - hydraulicResults.bottomOfDeck, 0), deckDepth);
+    const velocity = Math.sqrt(2) * hydraulicResults.velocity; // m/sec
+    const velocityHead = 0.5 * Math.pow(velocity, 2); // ½ρV² in KN/m² with ρ = 1 t/m³
+    const stripTopLevel = hydraulicResults.scour.foundationLevel + p.stripFootingThickness;
+    
+    // Drag on the upstream edge over the submerged depth; lift on the plan area only once the deck is overtopped
+    const dragArea = submergedDepth * p.deckSlabLength; // m²
+    const liftArea = overtoppingDepth > 0 ? p.deckSlabLength * p.carriageWayWidth : 0; // m²
+    const drag = a.dragCoefficient * velocityHead * dragArea; // KN
+    const lift = a.liftCoefficient * velocityHead * liftArea; // KN
+    
+    // Anchor bars: lift and uplift in excess of 0.9 × deck weight, half at each end of the span
+    const netUplift = Math.max(lift + (liftArea > 0 ? upliftForce : 0) - 0.9 * deckWeight, 0);
+    const anchorDemand = netUplift / 2; // KN per support
+    const barCapacity = Math.PI * Math.pow(a.anchorBarDiameter, 2) / 4 * a.anchorBarPermissibleTension / 1000; // KN per bar
+    const anchorCapacity = a.anchorBarsPerSupport * barCapacity;
+    
+    // Thrust blocks: drag shared by the two ends; each block checked for bearing on its face and shear at its base
+    const thrustDemand = drag / 2; // KN per support
+    const blockCapacity = Math.min(
+        a.thrustBlockHeight * a.thrustBlockLength * a.permissibleBearingVRCC * 1000,
+        a.thrustBlockLength * a.thrustBlockWidth * a.permissibleShearVRCC * 1000
+    ); // KN per block
+    const thrustCapacity = a.thrustBlocksPerSupport * blockCapacity;
+    
+    const round = value => Math.round(value * 100) / 100;
+    const anchorUtilisation = anchorCapacity > 0 ? anchorDemand / anchorCapacity : Infinity;
+    const thrustUtilisation = thrustCapacity > 0 ? thrustDemand / thrustCapacity : Infinity;
+    return {
+        overtoppingDepth: round(overtoppingDepth),
+        submergedDepth: round(submergedDepth),
+        velocity: round(velocity),
+        velocityHead: round(velocityHead),
+        dragCoefficient: a.dragCoefficient,
+        liftCoefficient: a.liftCoefficient,
+        dragArea: round(dragArea),
+        liftArea: round(liftArea),
+        drag: round(drag),
+        dragLeverArm: round(hydraulicResults.bottomOfDeck + submergedDepth / 2 - stripTopLevel), // above top of RCC strip footing
+        lift: round(lift),
+        anchorBars: {
+            diameter: a.anchorBarDiameter,
+            deckWeight: round(deckWeight),
+            netUplift: round(netUplift),
+            demandPerSupport: round(anchorDemand),
+            capacityPerBar: round(barCapacity),
+            required: Math.ceil(anchorDemand / barCapacity),
+            provided: a.anchorBarsPerSupport,
+            utilisation: round(anchorUtilisation),
+            isSafe: anchorUtilisation <= 1,
+        },
+        thrustBlocks: {
+            size: `${a.thrustBlockLength} × ${a.thrustBlockWidth} × ${a.thrustBlockHeight}`,
+            demandPerSupport: round(thrustDemand),
+            capacityPerBlock: round(blockCapacity),
+            required: Math.ceil(thrustDemand / blockCapacity),
+            provided: a.thrustBlocksPerSupport,
+            utilisation: round(thrustUtilisation),
+            isSafe: thrustUtilisation <= 1,
+        },
+        isSafe: anchorUtilisation <= 1 && thrustUtilisation <= 1,
+    };
+}
+
+// Temperature range as "-5 to 45", [min, max] or { minimum, maximum } in °C; null unless it gives a minimum below the maximum
+function parseTemperatureRange(range) {
+    const values = typeof range === 'string'
+        ? (range.match(/-?\d+(\.\d+)?/g) || []).map(Number)
+        : Array.isArray(range) ? range.map(Number) : [Number(range && range.minimum), Number(range && range.maximum)];
+    if (values.length !== 2 || values.some(value => isNaN(value)) || values[0] >= values[1]) {
+        return null;
+    }
+    return { minimum: values[0], maximum: values[1] };
+}
+
+// Deck seating: directly on the seat, elastomeric pads, or sliding bearings fixed at the pier and free at the abutment
+const BEARING_TYPES = ['none', 'elastomeric', 'slidingFixedFree'];
+
+// LONGITUDINAL FORCES (IRC 6:2000, clauses 214 and 218) - braking on the span and deck temperature/shrinkage,
+// shared between the abutment and pier ends of the span according to the bearings
+function calculateLongitudinalForces(structuralParams, hydraulicResults, liveLoadAnalysis, deckWeight) {
+    const p = structuralParams;
+    const bearings = p.bearings;
+    const t = p.temperature;
+    if (!BEARING_TYPES.includes(bearings.type)) {
+        throw new Error(`Unknown bearing type: ${bearings.type}. Use ${BEARING_TYPES.join(', ')}`);
+    }
+    const round = value => Math.round(value * 100) / 100;
+    
+    // Braking: 20% of the train in one lane (only one train fits on a short span) plus 5% of the trains beyond two lanes
+    const governing = liveLoadAnalysis.governing;
+    const isVehicle = governing.key !== 'footway';
+    const trainLoad = isVehicle ? governing.maxLoadOnSpan / governing.vehicles : 0;
+    const additionalTrains = !isVehicle ? 0
+        : governing.key === 'classA' ? Math.max(liveLoadAnalysis.lanes - 2, 0) : Math.max(governing.vehicles - 1, 0);
+    const brakingForce = 0.2 * trainLoad + 0.05 * trainLoad * additionalTrains;
+    
+    // Temperature rise and fall about the mean, shrinkage added to the fall; each end of the span moves half
+    const meanTemperature = (t.minimum + t.maximum) / 2;
+    const expansion = t.coefficient * (t.maximum - meanTemperature) * p.deckSlabLength;
+    const contraction = (t.coefficient * (meanTemperature - t.minimum) + t.shrinkageStrain) * p.deckSlabLength;
+    const endMovement = Math.max(expansion, contraction) / 2;
+    
+    // Dead and live reactions at each end of the span for the frictional resistance
+    const liveReaction = isVehicle ? governing.maxReaction : 0;
+    const friction = bearings.frictionCoefficient * (deckWeight / 2 + liveReaction);
+    let brakingShare;
+    let temperatureForce;
+    if (bearings.type === 'none') {
+        // 50% of the longitudinal force reaches the supports of spans on stiff foundations (clause 214.5.1.3);
+        // a deck bearing directly on its seat is restrained against the end movement until it slides, so the
+        // seat takes the friction of the dead reaction, μ Rg (the full restraint force of the slab is far greater)
+        brakingShare = { abutment: 0.5 * brakingForce, pier: 0.5 * brakingForce };
+        temperatureForce = endMovement > 0 ? bearings.seatFrictionCoefficient * deckWeight / 2 : 0;
+    } else if (bearings.type === 'elastomeric') {
+        // Shared equally, with the shear to deform the bearings through the end movement (clause 214.5.1.5)
+        brakingShare = { abutment: brakingForce / 2, pier: brakingForce / 2 };
+        temperatureForce = bearings.perSupport * bearings.shearModulus * 1000 * bearings.planArea * endMovement / bearings.elastomerThickness;
+    } else {
+        // Free end at the abutment takes μ(Rg + Rq), the fixed end at the pier the greater of Fh − μ(Rg + Rq) and
+        // Fh/2 + μ(Rg + Rq); friction already covers the temperature movement (clause 214.5.1.1)
+        brakingShare = { abutment: friction, pier: Math.max(brakingForce - friction, brakingForce / 2 + friction) };
+        temperatureForce = 0;
+    }
+    
+    const stripTopLevel = hydraulicResults.scour.foundationLevel + p.stripFootingThickness;
+    const roadLevel = hydraulicResults.bottomOfDeck + p.deckSlabThickness + p.wearingCoatThickness;
+    return {
+        bearingType: bearings.type,
+        braking: {
+            trainLoad: round(trainLoad),
+            additionalTrains: additionalTrains,
+            force: round(brakingForce), // one span
+            abutment: round(brakingShare.abutment),
+            pier: round(brakingShare.pier),
+            leverArm: round(roadLevel + 1.2 - stripTopLevel), // 1.2 m above the road surface (clause 214.2)
+        },
+        temperature: {
+            minimum: t.minimum,
+            maximum: t.maximum,
+            mean: meanTemperature,
+            expansion: Math.round(expansion * 100000) / 100, // mm over the span
+            contraction: Math.round(contraction * 100000) / 100, // mm, with shrinkage
+            endMovement: Math.round(endMovement * 100000) / 100, // mm at each end
+            abutment: round(temperatureForce),
+            pier: 0, // the ends of the spans either side of a pier move in opposite directions and balance
+            leverArm: round(hydraulicResults.bottomOfDeck - stripTopLevel), // at the deck seat
+        },
+    };
+}
+
+// SILT ON THE DECK (IRC SP:82-2008, clause 7.11.3.4) - deposit of given depth and density over the whole deck slab
+function calculateSiltLoad(structuralParams) {
+    const p = structuralParams;
+    const { depth, density } = p.silt;
+    if (!(depth >= 0) || !(density > 0)) {
+        throw new Error(`Silt deposit needs a depth of zero or more and a positive density (received ${depth} m, ${density} KN/m³)`);
+    }
+    const area = p.deckSlabLength * p.carriageWayWidth;
+    return {
+        depth: depth,
+        density: density,
+        area: Math.round(area * 100) / 100,
+        intensity: Math.round(depth * density * 100) / 100, // KN/m²
+        load: Math.round(depth * density * area * 100) / 100, // one span
+    };
+}
+
+// Hydrodynamic coefficient C against H/R, R the radius of the enclosing cylinder (IRC 6, clause 219.6)
+const HYDRODYNAMIC_COEFFICIENTS = [
+    { ratio: 1.0, coefficient: 0.390 },
+    { ratio: 2.0, coefficient: 0.575 },
+    { ratio: 3.0, coefficient: 0.675 },
+    { ratio: 4.0, coefficient: 0.730 },
+];
+
+// SEISMIC FORCES (IRC 6, clause 219) - Ah = (Z / 2) × (Sa / g) × (I / R), Av = 2/3 × Ah in Zones IV and V only
+// Inertia of the superstructure, the participating live load and the substructure above each section, and the
+// hydrodynamic force F = C × Ah × We of the water enclosing the submerged pier; nothing is returned for Zone I
+function calculateSeismicForces(structuralParams, materialProps, hydraulicResults, deadLoadComponents, criticalReaction) {
+    const p = structuralParams;
+    const options = p.seismic;
+    const zone = String(options.zone || 'I').toUpperCase();
+    if (!(zone in SEISMIC_ZONE_FACTORS)) {
+        throw new Error(`Unknown seismic zone: ${options.zone}`);
+    }
+    if (zone === 'I') {
+        return null;
+    }
+    
+    const zoneFactor = SEISMIC_ZONE_FACTORS[zone];
+    const alphaH = zoneFactor / 2 * options.spectralAcceleration * options.importanceFactor / options.responseReduction;
+    const alphaV = ['IV', 'V'].includes(zone) ? 2 / 3 * alphaH : 0;
+    const stripTopLevel = hydraulicResults.scour.foundationLevel + p.stripFootingThickness;
+    const round = value => Math.round(value * 100) / 100;
+    
+    // Superstructure mass at mid-depth of the deck; live load only across traffic, at the centre of the vehicles
+    const roadLevel = hydraulicResults.bottomOfDeck + p.deckSlabThickness + p.wearingCoatThickness;
+    const deckWeight = deadLoadComponents
+        .filter(component => component.support === 'superstructure')
+        .reduce((sum, component) => sum + component.load, 0);
+    const liveLoad = options.liveLoadParticipation * criticalReaction;
+    const superstructure = {
+        weight: round(deckWeight),
+        horizontal: round(alphaH * deckWeight),
+        vertical: round(alphaV * deckWeight),
+        leverArm: round(hydraulicResults.bottomOfDeck + (p.deckSlabThickness + p.wearingCoatThickness) / 2 - stripTopLevel),
+    };
+    const liveLoadInertia = {
+        weight: round(liveLoad),
+        horizontal: round(alphaH * liveLoad),
+        leverArm: round(roadLevel + p.wind.liveLoadHeight / 2 - stripTopLevel),
+    };
+    
+    // Centroid of each component above the top of the RCC strip footing, footing tiers stacked bottom tier last
+    const substructure = support => {
+        const isAbutment = support === 'abutment';
+        const footings = p[`${support}Footings`];
+        const stemHeight = isAbutment ? p.abutmentHeight : p.pierHeight;
+        const topWidth = isAbutment ? p.topWidthAbutment : p.topWidthPier;
+        const bottomWidth = isAbutment ? p.bottomWidthAbutment : p.bottomWidthPier;
+        const stemBase = footings.reduce((sum, footing) => sum + footing.thickness, 0);
+        const topPieceHeight = isAbutment ? getDirtWallHeight(p) : p.bedBlockThickness;
+        const centroids = {
+            [isAbutment ? 'Dirt wall' : 'Bed block']: stemBase + stemHeight + topPieceHeight / 2,
+            [isAbutment ? 'Abutment stem' : 'Pier stem']: stemBase + stemHeight * (bottomWidth + 2 * topWidth) / (3 * (bottomWidth + topWidth)),
+        };
+        footings.forEach((footing, i) => {
+            const below = footings.slice(i + 1).reduce((sum, lower) => sum + lower.thickness, 0);
+            centroids[`${isAbutment ? 'Abutment' : 'Pier'} footing ${i + 1}`] = below + footing.thickness / 2;
+        });
+        const components = deadLoadComponents.filter(component => component.support === support);
+        
+        // Level 0 is the base of the stem, level k the bottom of the k-th footing, as for the self weight eccentricities
+        return [0, ...footings.map((_, i) => i + 1)].map(level => {
+            const above = components.filter(component => !component.tier || component.tier <= level);
+            const weight = above.reduce((sum, component) => sum + component.load, 0);
+            const moment = above.reduce((sum, component) => sum + component.load * centroids[component.component], 0);
+            return {
+                level: level,
+                weight: round(weight),
+                horizontal: round(alphaH * weight),
+                vertical: round(alphaV * weight),
+                leverArm: weight > 0 ? Math.round(moment / weight * 1000) / 1000 : 0, // above top of RCC strip footing
+            };
+        });
+    };
+    
+    // Hydrodynamic force on the pier shaft between the bed and HFL or the soffit, resultant at 0.4 H above the bed;
+    // the enclosing cylinder is taken on the face of the pier normal to the direction of shaking
+    const footingDepth = p.pierFootings.reduce((sum, footing) => sum + footing.thickness, 0);
+    const exposedBottom = Math.max(hydraulicResults.lowestBedLevel, stripTopLevel + footingDepth);
+    const exposedTop = Math.min(hydraulicResults.maximumFloodLevel, hydraulicResults.bottomOfDeck);
+    const submergedHeight = Math.max(exposedTop - exposedBottom, 0);
+    const hydrodynamicCoefficient = ratio => {
+        const upper = HYDRODYNAMIC_COEFFICIENTS.findIndex(row => row.ratio >= ratio);
+        if (upper === 0) return HYDRODYNAMIC_COEFFICIENTS[0].coefficient;
+        if (upper === -1) return HYDRODYNAMIC_COEFFICIENTS[HYDRODYNAMIC_COEFFICIENTS.length - 1].coefficient;
+        const low = HYDRODYNAMIC_COEFFICIENTS[upper - 1];
+        const high = HYDRODYNAMIC_COEFFICIENTS[upper];
+        return low.coefficient + (high.coefficient - low.coefficient) * (ratio - low.ratio) / (high.ratio - low.ratio);
+    };
+    const hydrodynamic = diameter => {
+        const coefficient = hydrodynamicCoefficient(submergedHeight / (diameter / 2));
+        const waterWeight = materialProps.unitWeightWater * Math.PI * Math.pow(diameter, 2) / 4 * submergedHeight;
+        return {
+            diameter: diameter,
+            coefficient: Math.round(coefficient * 1000) / 1000,
+            waterWeight: round(waterWeight),
+            force: round(coefficient * alphaH * waterWeight),
+        };
+    };
+    
+    return {
+        zone: zone,
+        zoneFactor: zoneFactor,
+        spectralAcceleration: options.spectralAcceleration,
+        importanceFactor: options.importanceFactor,
+        responseReduction: options.responseReduction,
+        alphaH: Math.round(alphaH * 1000) / 1000,
+        alphaV: Math.round(alphaV * 1000) / 1000,
+        liveLoadParticipation: options.liveLoadParticipation,
+        orthogonalRatio: options.orthogonalRatio,
+        superstructure: superstructure, // one span
+        liveLoad: liveLoadInertia, // one span
+        abutment: { substructure: substructure('abutment') },
+        pier: {
+            substructure: substructure('pier'),
+            hydrodynamic: {
+                submergedHeight: round(submergedHeight),
+                transverse: hydrodynamic(p.bottomWidthPier), // shaking across traffic, on the pier end
+                longitudinal: hydrodynamic(p.carriageWayWidth), // shaking along traffic, on the pier side
+                leverArm: round(exposedBottom + 0.4 * submergedHeight - stripTopLevel),
+            },
+        },
+    };
+}
+
+// LOAD ENVELOPES I/II/III, and the seismic envelopes outside Zone I (structural_design_abutment.txt / pile-design.txt, section IV)
+// x-direction is at right angles to the traffic, y-direction along it; Mx acts about the x-axis
+function calculateLoadEnvelopes(structuralParams, materialProps, loads) {
+    const p = structuralParams;
+    const factors = p.loadFactors;
+    // Permissible bearing under the RCC strip footing (IRC 78:2000, clause 706.3.3.1)
+    const permissibleBearing = 1.5 * materialProps.safeBearingCapacity * 10; // KN/m²
+    const { waterForces, environmentalLoads, earthPressureForces, leverArms } = loads;
+    
+    const sumLoads = support => loads.deadLoadComponents
+        .filter(component => component.support === support)
+        .reduce((sum, component) => sum + component.load, 0);
+    const superstructure = sumLoads('superstructure');
+    // Live load surcharge behind the abutment only acts with live load on the span (IRC 6:2000, clause 217.1)
+    const earthPressure = envelope => envelope.liveLoad ? earthPressureForces.withSurcharge : earthPressureForces.withoutSurcharge;
+    // Full buoyancy with the canal full, partial buoyancy below the sub-soil water level with it dry
+    const buoyancyCondition = (support, envelope) => loads.buoyancy[support][envelope.water ? 'canalFull' : 'canalDry'];
+    const hasBuoyancy = (support, envelope) => buoyancyCondition(support, envelope).items.some(item => item.force > 0);
+    // Seismic combination: full force along traffic with a fraction across it, reduced live load and no wind (IRC 6, clause 219)
+    const seismic = loads.seismic;
+    const liveLoadShare = envelope => envelope.seismic ? seismic.liveLoadParticipation : 1;
+    
+    // Each simply supported span rests half on each support; a pier carries a half span from either side
+    const supports = {
+        abutment: {
+            spanShare: 0.5, // forces on the superstructure reach the abutment from half a span
+            deadReaction: superstructure / 2,
+            selfWeight: sumLoads('abutment'),
+            selfWeightEccentricity: loads.selfWeightEccentricities.abutment.slice(-1)[0].eccentricity,
+            uplift: waterForces.upliftForce / 2, // half the span's uplift reaches the abutment
+            lift: waterForces.liftDeck / 2,
+            silt: waterForces.silt / 2,
+            waterCurrentDeck: waterForces.waterCurrentDeck / 2, // half the span's drag reaches the abutment
+            waterCurrent: waterForces.waterCurrentAbutment,
+            waterCurrentLeverArm: leverArms.waterCurrentAbutment,
+            friction: waterForces.frictionAbutment,
+            frictionLeverArm: leverArms.frictionAbutment,
+            staticPressure: waterForces.staticPressureAbutment,
+            staticPressureLeverArm: leverArms.staticPressureAbutment,
+            seismic: seismic && seismic.abutment,
+            footings: p.abutmentFootings,
+            envelopes: {
+                I: { description: 'Canal dry, backfill scoured, live load on span', liveLoad: true, water: false, backfill: false },
+                II: { description: 'Canal full, backfill intact, no live load on span', liveLoad: false, water: true, backfill: true },
+                III: { description: 'Canal dry, backfill intact, live load on span', liveLoad: true, water: false, backfill: true },
+                ...(seismic ? {
+                    'S-I': { description: 'Seismic, canal dry, backfill intact, reduced live load on span', liveLoad: true, water: false, backfill: true, seismic: true },
+                    'S-II': { description: 'Seismic, canal full, backfill intact, no live load on span', liveLoad: false, water: true, backfill: true, seismic: true },
+                } : {}),
+            },
+        },
+        pier: {
+            spanShare: 1.0, // and the pier from a half span either side
+            deadReaction: superstructure,
+            selfWeight: sumLoads('pier'),
+            selfWeightEccentricity: loads.selfWeightEccentricities.pier.slice(-1)[0].eccentricity,
+            uplift: waterForces.upliftForce,
+            lift: waterForces.liftDeck,
+            silt: waterForces.silt,
+            waterCurrentDeck: waterForces.waterCurrentDeck,
+            waterCurrent: waterForces.waterCurrentPier,
+            waterCurrentNormal: waterForces.waterCurrentPierNormal,
+            waterCurrentLeverArm: leverArms.waterCurrentPier,
+            friction: waterForces.frictionPier,
+            frictionLeverArm: leverArms.frictionPier,
+            staticPressure: waterForces.staticPressure,
+            staticPressureLeverArm: leverArms.staticPressure,
+            seismic: seismic && seismic.pier,
+            footings: p.pierFootings,
+            // Envelope III of the abutment is Envelope I with the backfill intact (pile-design.txt has I and II only)
+            omittedEnvelopes: {
+                III: 'Canal dry, backfill intact, live load on span: a pier retains no backfill, so Envelope-I covers it',
+            },
+            envelopes: {
+                I: { description: 'Canal dry, live load on span', liveLoad: true, water: false, backfill: false },
+                II: { description: 'Canal full, no live load on span', liveLoad: false, water: true, backfill: false },
+                ...(seismic ? {
+                    'S-I': { description: 'Seismic, canal dry, reduced live load on span', liveLoad: true, water: false, backfill: false, seismic: true },
+                    'S-II': { description: 'Seismic, canal full, no live load on span', liveLoad: false, water: true, backfill: false, seismic: true },
+                } : {}),
+            },
+        },
+    };
+    
+    // Substructure inertia varies with the section, so its cases carry the load and lever arm at every level
+    const seismicCases = (s, envelope) => {
+        const ratio = seismic.orthogonalRatio;
+        const levels = (key, share = 1) => s.seismic.substructure.map(level => ({ load: level[key] * share, leverArm: level.leverArm }));
+        const bottom = s.seismic.substructure[s.seismic.substructure.length - 1];
+        const hydrodynamic = envelope.water && s.seismic.hydrodynamic;
+        const earthSeismic = envelope.backfill && earthPressureForces.seismic;
+        return [
+            ...(seismic.alphaV > 0 ? [
+                { key: 'seismicSuperstructureVertical', name: 'Vertical seismic force on super structure', type: 'vertical', factor: factors.seismic, load: seismic.superstructure.vertical * s.spanShare, ex: 0, ey: 0 },
+                { key: 'seismicSubstructureVertical', name: 'Vertical seismic force on substructure', type: 'vertical', factor: factors.seismic, load: bottom.vertical, ex: 0, ey: s.selfWeightEccentricity, levels: levels('vertical') },
+            ] : []),
+            ...(earthSeismic ? [
+                { key: 'earthSeismicVertical', name: 'Vertical component of seismic earth pressure increment', type: 'vertical', factor: factors.seismic, load: earthSeismic.vertical, ex: 0, ey: leverArms.earthPressureVerticalEccentricity },
+            ] : []),
+            { key: 'seismicSuperstructure', name: 'Seismic force on super structure along traffic', type: 'horizontal', factor: factors.seismic, load: seismic.superstructure.horizontal * s.spanShare, direction: 'y', leverArm: seismic.superstructure.leverArm },
+            { key: 'seismicSuperstructureTransverse', name: `Seismic force on super structure across traffic (${ratio * 100}%)`, type: 'horizontal', factor: factors.seismic, load: seismic.superstructure.horizontal * s.spanShare * ratio, direction: 'x', leverArm: seismic.superstructure.leverArm },
+            ...(envelope.liveLoad ? [
+                { key: 'seismicLiveLoad', name: `Seismic force on live load across traffic (${ratio * 100}%)`, type: 'horizontal', factor: factors.seismic, load: seismic.liveLoad.horizontal * s.spanShare * ratio, direction: 'x', leverArm: seismic.liveLoad.leverArm },
+            ] : []),
+            { key: 'seismicSubstructure', name: 'Seismic force on substructure along traffic', type: 'horizontal', factor: factors.seismic, load: bottom.horizontal, direction: 'y', leverArm: bottom.leverArm, levels: levels('horizontal') },
+            { key: 'seismicSubstructureTransverse', name: `Seismic force on substructure across traffic (${ratio * 100}%)`, type: 'horizontal', factor: factors.seismic, load: bottom.horizontal * ratio, direction: 'x', leverArm: bottom.leverArm, levels: levels('horizontal', ratio) },
+            ...(hydrodynamic ? [
+                { key: 'hydrodynamic', name: 'Hydrodynamic force on submerged pier along traffic', type: 'horizontal', factor: factors.seismic, load: hydrodynamic.longitudinal.force, direction: 'y', leverArm: hydrodynamic.leverArm },
+                { key: 'hydrodynamicTransverse', name: `Hydrodynamic force on submerged pier across traffic (${ratio * 100}%)`, type: 'horizontal', factor: factors.seismic, load: hydrodynamic.transverse.force * ratio, direction: 'x', leverArm: hydrodynamic.leverArm },
+            ] : []),
+            ...(earthSeismic ? [
+                { key: 'earthSeismic', name: 'Seismic earth pressure increment', type: 'horizontal', factor: factors.seismic, load: earthSeismic.horizontal, direction: 'y', leverArm: Math.round((earthSeismic.height + leverArms.earthPressureFooting) * 1000) / 1000 },
+            ] : []),
+        ];
+    };
+    
+    const result = {};
+    Object.entries(supports).forEach(([support, s]) => {
+        const envelopes = Object.entries(s.envelopes).map(([id, envelope]) => {
+            // Load cases: vertical loads carry eccentricities (ex, ey); horizontal loads a direction and height
+            const cases = [
+                { key: 'deadReaction', name: 'Reaction due to dead load from super structure', type: 'vertical', factor: factors.dead, load: s.deadReaction, ex: 0, ey: 0 },
+                { key: 'selfWeight', name: `Self weight of ${support} & footings`, type: 'vertical', factor: factors.dead, load: s.selfWeight, ex: 0, ey: s.selfWeightEccentricity },
+                ...(envelope.water ? [
+                    { key: 'uplift', name: 'Uplift pressure on deck slab', type: 'vertical', factor: factors.water, load: -s.uplift, ex: 0, ey: 0 },
+                    ...(s.lift > 0 ? [
+                        { key: 'lift', name: 'Lift force on overtopped deck slab', type: 'vertical', factor: factors.water, load: -s.lift, ex: 0, ey: 0 },
+                    ] : []),
+                    ...(s.silt > 0 ? [
+                        { key: 'silt', name: 'Additional live load due to silt on deck slab', type: 'vertical', factor: factors.live, load: s.silt, ex: 0, ey: 0 },
+                    ] : []),
+                ] : []),
+                ...(hasBuoyancy(support, envelope) ? [
+                    { key: 'buoyancy', name: envelope.water ? 'Reduction in self weight due to buoyancy' : 'Reduction in self weight due to partial buoyancy', type: 'vertical', factor: factors.water, load: -buoyancyCondition(support, envelope).total, ex: 0, ey: s.selfWeightEccentricity },
+                ] : []),
+                ...(envelope.liveLoad ? [
+                    { key: 'liveLoad', name: envelope.seismic ? `Reaction due to ${liveLoadShare(envelope) * 100}% live load with impact factor` : 'Reaction due to live load with impact factor', type: 'vertical', factor: factors.live, load: loads.criticalReaction * liveLoadShare(envelope), ex: p.liveLoadEccentricity, ey: 0 },
+                ] : []),
+                ...(envelope.backfill ? [
+                    { key: 'earthVertical', name: 'Vertical component of earth pressure', type: 'vertical', factor: factors.earth, load: earthPressure(envelope).vertical, ex: 0, ey: leverArms.earthPressureVerticalEccentricity },
+                ] : []),
+                ...(envelope.seismic ? [] : [
+                    { key: 'wind', name: 'Transverse wind load on deck', type: 'horizontal', factor: factors.wind, load: environmentalLoads.windDeck.transverse * s.spanShare, direction: 'x', leverArm: leverArms.windDeck },
+                    { key: 'windLongitudinal', name: 'Longitudinal wind load on deck', type: 'horizontal', factor: factors.wind, load: environmentalLoads.windDeck.longitudinal * s.spanShare, direction: 'y', leverArm: leverArms.windDeck },
+                    ...(envelope.liveLoad ? [
+                        { key: 'windLiveLoad', name: 'Transverse wind load on live load', type: 'horizontal', factor: factors.wind, load: environmentalLoads.windLiveLoad.transverse * s.spanShare, direction: 'x', leverArm: leverArms.windLiveLoad },
+                        { key: 'windLiveLoadLongitudinal', name: 'Longitudinal wind load on live load', type: 'horizontal', factor: factors.wind, load: environmentalLoads.windLiveLoad.longitudinal * s.spanShare, direction: 'y', leverArm: leverArms.windLiveLoad },
+                    ] : []),
+                ]),
+                ...(envelope.liveLoad ? [
+                    { key: 'braking', name: 'Tractive, braking & frictional resistance of bearings', type: 'horizontal', factor: factors.braking, load: environmentalLoads.braking[support] * liveLoadShare(envelope), direction: 'y', leverArm: leverArms.braking },
+                ] : []),
+                ...(environmentalLoads.temperature[support] > 0 ? [
+                    { key: 'temperature', name: 'Temperature and shrinkage of deck slab', type: 'horizontal', factor: factors.temperature, load: environmentalLoads.temperature[support], direction: 'y', leverArm: leverArms.temperature },
+                ] : []),
+                ...(envelope.water ? [
+                    { key: 'waterCurrentDeck', name: 'Water current force on deck slab', type: 'horizontal', factor: factors.water, load: s.waterCurrentDeck, direction: 'x', leverArm: leverArms.waterCurrentDeck },
+                    { key: 'waterCurrent', name: `Water current force on ${support}`, type: 'horizontal', factor: factors.water, load: s.waterCurrent, direction: 'x', leverArm: s.waterCurrentLeverArm },
+                    ...(s.waterCurrentNormal > 0 ? [
+                        { key: 'waterCurrentNormal', name: `Water current force normal to ${support}`, type: 'horizontal', factor: factors.water, load: s.waterCurrentNormal, direction: 'y', leverArm: s.waterCurrentLeverArm },
+                    ] : []),
+                    { key: 'frictionDeck', name: 'Frictional force due to water on deck slab', type: 'horizontal', factor: factors.water, load: waterForces.frictionDeck * s.spanShare, direction: 'x', leverArm: leverArms.frictionDeck },
+                    { key: 'friction', name: `Frictional force due to water on ${support}`, type: 'horizontal', factor: factors.water, load: s.friction, direction: 'x', leverArm: s.frictionLeverArm },
+                    { key: 'waterPressure', name: 'Water pressure force', type: 'horizontal', factor: factors.water, load: s.staticPressure, direction: 'x', leverArm: s.staticPressureLeverArm },
+                ] : []),
+                ...(envelope.seismic ? seismicCases(s, envelope) : []),
+                ...(envelope.backfill ? [
+                    { key: 'earthHorizontal', name: envelope.liveLoad ? 'Horizontal load due to earth pressure with live load surcharge' : 'Horizontal load due to earth pressure', type: 'horizontal', factor: factors.earth, load: earthPressure(envelope).horizontal, direction: 'y', leverArm: Math.round((earthPressure(envelope).height + leverArms.earthPressureFooting) * 1000) / 1000 },
+                ] : []),
+            ].map(loadCase => {
+                const factored = loadCase.load * loadCase.factor;
+                // Mx from eccentricity / forces along traffic (positive towards the canal), My from those across it
+                const mx = loadCase.type === 'vertical' ? -factored * loadCase.ey : (loadCase.direction === 'y' ? factored * loadCase.leverArm : 0);
+                const my = loadCase.type === 'vertical' ? factored * loadCase.ex : (loadCase.direction === 'x' ? factored * loadCase.leverArm : 0);
+                return {
+                    ...loadCase,
+                    load: Math.round(loadCase.load * 100) / 100,
+                    factored: Math.round(factored * 100) / 100,
+                    mx: Math.round(mx * 100) / 100,
+                    my: Math.round(my * 100) / 100,
+                };
+            });
+            
+            const total = (filter, key) => Math.round(cases.filter(filter).reduce((sum, loadCase) => sum + loadCase[key], 0) * 100) / 100;
+            const vertical = total(loadCase => loadCase.type === 'vertical', 'factored');
+            const horizontalX = total(loadCase => loadCase.direction === 'x', 'factored');
+            const horizontalY = total(loadCase => loadCase.direction === 'y', 'factored');
+            const mx = total(() => true, 'mx');
+            const my = total(() => true, 'my');
+            
+            // Edge stress at the base of the bottom footing tier: P/A + |Mx|/Zx + |My|/Zy
+            const footing = s.footings[s.footings.length - 1];
+            const area = p.carriageWayWidth * footing.width;
+            const zx = p.carriageWayWidth * Math.pow(footing.width, 2) / 6;
+            const zy = footing.width * Math.pow(p.carriageWayWidth, 2) / 6;
+            const maxBaseStress = vertical / area + Math.abs(mx) / zx + Math.abs(my) / zy;
+            // Permissible stresses are increased in the seismic combination, so envelopes compare by utilisation
+            const utilisation = maxBaseStress / (permissibleBearing * (envelope.seismic ? p.seismic.stressIncrease : 1));
+            
+            return {
+                id: id,
+                name: `Load Envelope-${id}`,
+                description: envelope.description,
+                buoyancyCondition: envelope.water ? 'canalFull' : 'canalDry',
+                seismic: envelope.seismic === true,
+                cases: cases,
+                vertical: vertical,
+                horizontalX: horizontalX,
+                horizontalY: horizontalY,
+                horizontal: Math.round(Math.hypot(horizontalX, horizontalY) * 100) / 100,
+                mx: mx,
+                my: my,
+                maxBaseStress: Math.round(maxBaseStress * 100) / 100,
+                utilisation: Math.round(utilisation * 1000) / 1000,
+            };
+        });
+        
+        const governing = envelopes.reduce((max, envelope) => envelope.utilisation > max.utilisation ? envelope : max);
+        result[support] = { envelopes: envelopes, governing: governing.id, omittedEnvelopes: s.omittedEnvelopes || {} };
+    });
+    
+    return result;
+}
+
+// Height of the dirt wall over the abutment stem, from its sectional area and thickness
+// (structural_design_abutment.txt); shared by self weight, buoyancy, seismic and earth pressure
+function getDirtWallHeight(structuralParams) {
+    return structuralParams.dirtWallSectionArea / structuralParams.dirtWallThickness;
+}
+
+// ITEMISED DEAD LOAD TABLE (structural_design_abutment.txt / pile-design.txt, section III.1)
+function calculateDeadLoadComponents(structuralParams, materialProps) {
+    const p = structuralParams;
+    const rcc = materialProps.unitWeightRCC;
+    const pcc = materialProps.unitWeightPCC;
+    const fmt = value => value.toFixed(3);
+    
+    // Sectional areas of the stems (trapezoidal with batters)
+    const abutmentSectionArea = (p.topWidthAbutment + p.bottomWidthAbutment) / 2 * p.abutmentHeight;
+    const pierSectionArea = (p.topWidthPier + p.bottomWidthPier) / 2 * p.pierHeight;
+    
+    const components = [
+        {
+            component: 'Deck slab',
+            support: 'superstructure',
+            dimensions: `${fmt(p.deckSlabLength)} × ${fmt(p.carriageWayWidth)} × ${fmt(p.deckSlabThickness)}`,
+            volume: p.deckSlabLength * p.carriageWayWidth * p.deckSlabThickness,
+            unitWeight: rcc,
+        },
+        {
+            component: 'Wearing coat',
+            support: 'superstructure',
+            dimensions: `${fmt(p.deckSlabLength)} × ${fmt(p.carriageWayWidth)} × ${fmt(p.wearingCoatThickness)}`,
+            volume: p.deckSlabLength * p.carriageWayWidth * p.wearingCoatThickness,
+            unitWeight: rcc,
+        },
+        {
+            component: 'Dirt wall',
+            support: 'abutment',
+            dimensions: `${fmt(p.dirtWallSectionArea)} m² × ${fmt(p.carriageWayWidth)}`,
+            volume: p.dirtWallSectionArea * p.carriageWayWidth,
+            unitWeight: rcc,
+        },
+        {
+            component: 'Bed block',
+            support: 'pier',
+            dimensions: `${fmt(p.bedBlockSectionArea)} m² × ${fmt(p.carriageWayWidth)}`,
+            volume: p.bedBlockSectionArea * p.carriageWayWidth,
+            unitWeight: rcc,
+        },
+        {
+            component: 'Abutment stem',
+            support: 'abutment',
+            dimensions: `(${fmt(p.topWidthAbutment)} + ${fmt(p.bottomWidthAbutment)}) / 2 × ${fmt(p.abutmentHeight)} × ${fmt(p.carriageWayWidth)}`,
+            volume: abutmentSectionArea * p.carriageWayWidth,
+            unitWeight: pcc,
+        },
+        ...p.abutmentFootings.map((footing, i) => ({
+            component: `Abutment footing ${i + 1}`,
+            support: 'abutment',
+            tier: i + 1,
+            dimensions: `${fmt(footing.width)} × ${fmt(footing.thickness)} × ${fmt(p.carriageWayWidth)}`,
+            volume: footing.width * footing.thickness * p.carriageWayWidth,
+            unitWeight: pcc,
+        })),
+        {
+            component: 'Pier stem',
+            support: 'pier',
+            dimensions: `(${fmt(p.topWidthPier)} + ${fmt(p.bottomWidthPier)}) / 2 × ${fmt(p.pierHeight)} × ${fmt(p.carriageWayWidth)}`,
+            volume: pierSectionArea * p.carriageWayWidth,
+            unitWeight: pcc,
+        },
+        ...p.pierFootings.map((footing, i) => ({
+            component: `Pier footing ${i + 1}`,
+            support: 'pier',
+            tier: i + 1,
+            dimensions: `${fmt(footing.width)} × ${fmt(footing.thickness)} × ${fmt(p.carriageWayWidth)}`,
+            volume: footing.width * footing.thickness * p.carriageWayWidth,
+            unitWeight: pcc,
+        })),
+    ];
+    
+    return components.map(component => ({
+        ...component,
+        volume: Math.round(component.volume * 1000) / 1000,
+        load: Math.round(component.volume * component.unitWeight * 100) / 100,
+    }));
+}
+
+// IRC LIVE LOAD VEHICLES (IRC 6:2000, clause 207) - axle loads in KN, spacing from previous axle in m
+const IRC_LIVE_LOAD_VEHICLES = {
+    classA: {
+        name: 'IRC Class A',
+        impact: 'classA',
+        axles: [[27, 0], [27, 1.1], [114, 3.2], [114, 1.2], [68, 4.3], [68, 3.0], [68, 3.0], [68, 3.0]],
+        gauge: 1.8, // m between wheel lines
+        contactWidth: 0.5, // m of the heaviest wheel across the direction of travel
+    },
+    class70RWheeled: {
+        name: 'IRC Class 70R (wheeled)',
+        impact: 'wheeled',
+        axles: [[80, 0], [120, 3.96], [120, 1.52], [170, 2.13], [170, 1.37], [170, 3.05], [170, 1.37]],
+        gauge: 1.93,
+        contactWidth: 0.86,
+    },
+    class70RTracked: {
+        name: 'IRC Class 70R (tracked)',
+        impact: 'tracked',
+        track: { load: 700, contactLength: 4.57 },
+        gauge: 2.06,
+        contactWidth: 0.84,
+    },
+    classAAWheeled: {
+        name: 'IRC Class AA (wheeled)',
+        impact: 'wheeled',
+        axles: [[200, 0], [200, 1.2]],
+        gauge: 2.0,
+        contactWidth: 0.6,
+    },
+    classAATracked: {
+        name: 'IRC Class AA (tracked)',
+        impact: 'tracked',
+        track: { load: 700, contactLength: 3.6 },
+        gauge: 2.05,
+        contactWidth: 0.85,
+    },
+    footway: {
+        name: 'Footway / pedestrian',
+        impact: 'none',
+        udl: 5.0, // KN/m² (IRC 6:2000, clause 209)
+    },
+};
+
+// Vehicles checked for each load type (IRC classes and the form's load types)
+const LIVE_LOAD_TYPES = {
+    classA: ['classA'],
+    class70R: ['class70RWheeled', 'class70RTracked'],
+    classAA: ['classAAWheeled', 'classAATracked'],
+    footway: ['footway'],
+    pedestrian: ['footway'],
+    light: ['classA'],
+    heavy: ['class70RWheeled', 'class70RTracked', 'classAAWheeled', 'classAATracked'],
+    // Railway loading is outside IRC 6; the envelope of all road classes is used instead
+    railway: ['classA', 'class70RWheeled', 'class70RTracked', 'classAAWheeled', 'classAATracked'],
+};
+
+// LIVE LOAD ANALYSIS - worst reaction and moment positions on a simply supported span
+function calculateLiveLoads(loadType, span, carriageWayWidth) {
+    const vehicleKeys = LIVE_LOAD_TYPES[loadType || 'classA'];
+    if (!vehicleKeys) {
+        throw new Error(`Unknown live load type: ${loadType}`);
+    }
+    
+    // Number of lanes per IRC 6:2000 Table 2; one 70R/AA vehicle per two lanes
+    const lanes = carriageWayWidth < 5.3 ? 1 : carriageWayWidth < 9.6 ? 2 : carriageWayWidth < 13.1 ? 3 : 4;
+    
+    const classes = vehicleKeys.map(key => {
+        const vehicle = IRC_LIVE_LOAD_VEHICLES[key];
+        const impactFactor = calculateImpactFactor(vehicle.impact, span);
+        let effects;
+        let vehicleCount;
+        
+        if (vehicle.udl) {
+            // Footway loading over the full deck: R = wL/2, M = wL²/8
+            const lineLoad = vehicle.udl * carriageWayWidth;
+            vehicleCount = 1;
+            effects = {
+                maxReaction: lineLoad * span / 2,
+                maxReactionPosition: 0,
+                maxMoment: lineLoad * Math.pow(span, 2) / 8,
+                maxMomentPosition: span / 2,
+                maxLoadOnSpan: lineLoad * span,
+            };
+        } else {
+            vehicleCount = key === 'classA' ? lanes : Math.max(1, Math.floor(lanes / 2));
+            effects = analyzeMovingLoad(getVehicleLoadTrain(vehicle), [span]);
+        }
+        
+        return {
+            key: key,
+            name: vehicle.name,
+            vehicles: vehicleCount,
+            impactFactor: Math.round(impactFactor * 1000) / 1000,
+            maxReaction: Math.round(effects.maxReaction * vehicleCount * 100) / 100,
+            maxReactionPosition: Math.round(effects.maxReactionPosition * 100) / 100,
+            maxMoment: Math.round(effects.maxMoment * vehicleCount * 100) / 100,
+            maxMomentPosition: Math.round(effects.maxMomentPosition * 100) / 100,
+            maxLoadOnSpan: Math.round(effects.maxLoadOnSpan * vehicleCount * 100) / 100,
+            reactionWithImpact: Math.round(effects.maxReaction * vehicleCount * (1 + impactFactor) * 100) / 100,
+            momentWithImpact: Math.round(effects.maxMoment * vehicleCount * (1 + impactFactor) * 100) / 100,
+        };
+    });
+    
+    const governing = classes.reduce((max, result) => result.reactionWithImpact > max.reactionWithImpact ? result : max);
+    
+    return {
+        loadType: loadType || 'classA',
+        span: span,
+        lanes: lanes,
+        classes: classes,
+        governing: governing,
+    };
+}
+
+// Point loads of a vehicle measured back from its leading axle (tracks split into 10 equal loads)
+function getVehicleLoadTrain(vehicle) {
+    if (vehicle.track) {
+        const segments = 10;
+        return Array.from({ length: segments }, (_, i) => ({
+            load: vehicle.track.load / segments,
+            offset: (i + 0.5) * vehicle.track.contactLength / segments,
+        }));
+    }
+    
+    let offset = 0;
+    return vehicle.axles.map(([load, spacing]) => {
+        offset += spacing;
+        return { load: load, offset: offset };
+    });
+}
+
+// Bounds on a moving load run: train positions per direction, spans (20 stations each) and axles
+const MOVING_LOAD_LIMITS = {
+    minStep: 0.01, // m
+    maxSpans: 10,
+    maxAxles: 50,
+    maxPositions: 20000,
+};
+
+// MOVING LOAD ENGINE - steps an axle train across simply supported or continuous spans in both directions
+function analyzeMovingLoad(train, spans, options = {}) {
+    if (!Array.isArray(spans) || spans.length === 0 || spans.some(span => !(span > 0))) {
+        throw new Error('Spans must be a non-empty list of positive lengths');
+    }
+    if (!Array.isArray(train) || train.length === 0 || train.some(axle => !(axle.load > 0) || !(axle.offset >= 0))) {
+        throw new Error('Axle train must contain positive loads at non-negative offsets');
+    }
+    
+    const step = options.step || 0.05;
+    if (!(step >= MOVING_LOAD_LIMITS.minStep)) {
+        throw new Error(`Moving load step must be at least ${MOVING_LOAD_LIMITS.minStep} m`);
+    }
+    const stationsPerSpan = options.stationsPerSpan || 20;
+    const supports = spans.reduce((xs, span) => [...xs, xs[xs.length - 1] + span], [0]);
+    const totalLength = supports[supports.length - 1];
+    const trainLength = Math.max(...train.map(axle => axle.offset));
+    
+    const stations = [];
+    spans.forEach((span, i) => {
+        for (let j = i === 0 ? 0 : 1; j <= stationsPerSpan; j++) {
+            stations.push(supports[i] + span * j / stationsPerSpan);
+        }
+    });
+    const envelope = stations.map(x => ({ x, maxShear: 0, minShear: 0, maxMoment: 0, minMoment: 0 }));
+    const reactions = supports.map((x, i) => ({ support: i, x, max: 0, position: 0, direction: 'forward' }));
+    const midspanMoments = spans.map((span, i) => ({ span: i + 1, x: supports[i] + span / 2, maxMoment: 0, minMoment: 0 }));
+    let maxMoment = 0;
+    let maxMomentPosition = 0;
+    let maxLoadOnSpan = 0;
+    
+    ['forward', 'reverse'].forEach(direction => {
+        for (let lead = 0; lead <= totalLength + trainLength + 1e-9; lead += step) {
+            // Forward runs enter at the left support heading right, reverse runs enter at the right heading left
+            const loads = train
+                .map(axle => ({ load: axle.load, x: direction === 'forward' ? lead - axle.offset : totalLength - lead + axle.offset }))
+                .filter(axle => axle.x >= 0 && axle.x <= totalLength);
+            if (loads.length === 0) continue;
+            
+            const beam = solveContinuousBeam(spans, supports, loads);
+            maxLoadOnSpan = Math.max(maxLoadOnSpan, loads.reduce((sum, axle) => sum + axle.load, 0));
+            
+            beam.reactions.forEach((reaction, i) => {
+                if (reaction > reactions[i].max) {
+                    reactions[i] = { ...reactions[i], max: reaction, position: lead, direction };
+                }
+            });
+            
+            envelope.forEach(station => {
+                const shear = beam.shearAt(station.x);
+                const moment = beam.momentAt(station.x);
+                station.maxShear = Math.max(station.maxShear, shear);
+                station.minShear = Math.min(station.minShear, shear);
+                station.maxMoment = Math.max(station.maxMoment, moment);
+                station.minMoment = Math.min(station.minMoment, moment);
+            });
+            
+            midspanMoments.forEach(midspan => {
+                const moment = beam.momentAt(midspan.x);
+                midspan.maxMoment = Math.max(midspan.maxMoment, moment);
+                midspan.minMoment = Math.min(midspan.minMoment, moment);
+            });
+            
+            // Absolute maximum sagging moment occurs under one of the loads
+            loads.forEach(axle => {
+                const moment = beam.momentAt(axle.x);
+                if (moment > maxMoment) {
+                    maxMoment = moment;
+                    maxMomentPosition = axle.x;
+                }
+            });
+        }
+    });
+    
+    const round = value => Math.round(value * 100) / 100;
+    const governingReaction = reactions.reduce((max, reaction) => reaction.max > max.max ? reaction : max);
+    
+    return {
+        spans: spans,
+        supportType: spans.length === 1 ? 'simply supported' : 'continuous',
+        totalLength: round(totalLength),
+        reactions: reactions.map(reaction => ({ ...reaction, x: round(reaction.x), max: round(reaction.max), position: round(reaction.position) })),
+        maxReaction: round(governingReaction.max),
+        maxReactionSupport: governingReaction.support,
+        maxReactionPosition: round(governingReaction.position),
+        midspanMoments: midspanMoments.map(midspan => ({ ...midspan, x: round(midspan.x), maxMoment: round(midspan.maxMoment), minMoment: round(midspan.minMoment) })),
+        maxMoment: round(maxMoment),
+        maxMomentPosition: round(maxMomentPosition),
+        maxLoadOnSpan: round(maxLoadOnSpan),
+        envelope: envelope.map(station => ({
+            x: round(station.x),
+            maxShear: round(station.maxShear),
+            minShear: round(station.minShear),
+            maxMoment: round(station.maxMoment),
+            minMoment: round(station.minMoment),
+        })),
+    };
+}
+
+// Support moments by the three-moment equation (constant EI), then reactions, shear and moment by statics
+function solveContinuousBeam(spans, supports, loads) {
+    const spanLoads = spans.map((span, i) => loads
+        .filter(axle => axle.x >= supports[i] && axle.x <= supports[i + 1] && (i === 0 || axle.x > supports[i]))
+        .map(axle => ({ load: axle.load, a: axle.x - supports[i] })));
+    
+    // M(i-1)·L(i) + 2·M(i)·(L(i) + L(i+1)) + M(i+1)·L(i+1) = −Σ P·a·(L² − a²)/L − Σ P·b·(L² − b²)/L
+    const n = spans.length - 1;
+    const supportMoments = new Array(spans.length + 1).fill(0);
+    if (n > 0) {
+        const lower = [], diag = [], upper = [], rhs = [];
+        for (let i = 1; i <= n; i++) {
+            const left = spans[i - 1];
+            const right = spans[i];
+            lower.push(left);
+            diag.push(2 * (left + right));
+            upper.push(right);
+            rhs.push(
+                -spanLoads[i - 1].reduce((sum, { load, a }) => sum + load * a * (left * left - a * a) / left, 0)
+                - spanLoads[i].reduce((sum, { load, a }) => sum + load * (right - a) * (right * right - Math.pow(right - a, 2)) / right, 0)
+            );
+        }
+        // Thomas algorithm for the tridiagonal system
+        for (let i = 1; i < n; i++) {
+            const factor = lower[i] / diag[i - 1];
+            diag[i] -= factor * upper[i - 1];
+            rhs[i] -= factor * rhs[i - 1];
+        }
+        for (let i = n - 1; i >= 0; i--) {
+            supportMoments[i + 1] = (rhs[i] - (i < n - 1 ? upper[i] * supportMoments[i + 2] : 0)) / diag[i];
+        }
+    }
+    
+    // End shears of each span: simple-span reaction plus the support moment gradient
+    const endShears = spans.map((span, i) => {
+        const totalLoad = spanLoads[i].reduce((sum, { load }) => sum + load, 0);
+        const simpleRight = spanLoads[i].reduce((sum, { load, a }) => sum + load * a / span, 0);
+        const gradient = (supportMoments[i + 1] - supportMoments[i]) / span;
+        return { left: totalLoad - simpleRight + gradient, right: simpleRight - gradient };
+    });
+    const reactions = supports.map((x, i) => (i > 0 ? endShears[i - 1].right : 0) + (i < spans.length ? endShears[i].left : 0));
+    
+    const spanIndex = x => Math.min(spans.length - 1, supports.findIndex((support, i) => x <= supports[i + 1]));
+    
+    return {
+        supportMoments,
+        reactions,
+        // Shear in the span containing x, just right of any load at x (left span's end shear at an interior support)
+        shearAt: x => {
+            const i = spanIndex(x);
+            const local = x - supports[i];
+            return endShears[i].left - spanLoads[i].filter(({ a }) => a <= local).reduce((sum, { load }) => sum + load, 0);
+        },
+        momentAt: x => {
+            const i = spanIndex(x);
+            const local = x - supports[i];
+            return supportMoments[i] + endShears[i].left * local
+                - spanLoads[i].filter(({ a }) => a < local).reduce((sum, { load, a }) => sum + load * (local - a), 0);
+        },
+    };
+}
+
+// Impact factor for RCC superstructure (IRC 6:2000, clause 211)
+function calculateImpactFactor(impactType, span) {
+    switch (impactType) {
+        case 'classA':
+            return 4.5 / (6 + span);
+        case 'tracked':
+            // 25% up to 5 m span, reducing linearly to 10% at 9 m
+            return span <= 5 ? 0.25 : span < 9 ? 0.25 - 0.15 * (span - 5) / 4 : 0.10;
+        case 'wheeled':
+            // 25% up to 12 m span, Class A curve beyond
+            return span <= 12 ? 0.25 : 4.5 / (6 + span);
+        default:
+            return 0;
+    }
+}
+
+// COULOMB ACTIVE EARTH PRESSURE COEFFICIENT
+// Ka = sin²(α+φ) / [sin²α × sin(α-δ) × {1 + √[sin(φ+δ)sin(φ-β) / (sin(α-δ)sin(α+β))]}²]
+function calculateCoulombKa(params) {
+    const alpha = params.angleWallFace * Math.PI / 180; // α
+    const phi = params.angleShearingResistance * Math.PI / 180; // φ
+    const beta = params.slopeBackfill * Math.PI / 180; // β
+    const delta = params.angleWallFriction * Math.PI / 180; // δ
+    
+    const numerator = Math.pow(Math.sin(alpha + phi), 2);
+    const denominator1 = Math.pow(Math.sin(alpha), 2) * Math.sin(alpha - delta);
+    const sqrtTerm = Math.sqrt((Math.sin(phi + delta) * Math.sin(phi - beta)) / (Math.sin(alpha - delta) * Math.sin(alpha + beta)));
+    const denominator2 = Math.pow(1 + sqrtTerm, 2);
+    
+    return numerator / (denominator1 * denominator2);
+}
+
+// COULOMB PASSIVE EARTH PRESSURE COEFFICIENT
+// Kp = sin²(α-φ) / [sin²α × sin(α+δ) × {1 - √[sin(φ+δ)sin(φ+β) / (sin(α+δ)sin(α+β))]}²]
+function calculateCoulombKp(params) {
+    const alpha = params.angleWallFace * Math.PI / 180; // α
+    const phi = params.angleShearingResistance * Math.PI / 180; // φ
+    const beta = params.slopeBackfill * Math.PI / 180; // β
+    const delta = params.angleWallFriction * Math.PI / 180; // δ
+    
+    const numerator = Math.pow(Math.sin(alpha - phi), 2);
+    const denominator1 = Math.pow(Math.sin(alpha), 2) * Math.sin(alpha + delta);
+    const sqrtTerm = Math.sqrt((Math.sin(phi + delta) * Math.sin(phi + beta)) / (Math.sin(alpha + delta) * Math.sin(alpha + beta)));
+    if (sqrtTerm >= 1) {
+        throw new Error(`Coulomb passive pressure is unbounded for φ = ${params.angleShearingResistance}° and δ = ${params.angleWallFriction}°`);
+    }
+    const denominator2 = Math.pow(1 - sqrtTerm, 2);
+    
+    return numerator / (denominator1 * denominator2);
+}
+
+// RANKINE EARTH PRESSURE COEFFICIENTS on a vertical plane with backfill sloping at β
+// Ka, Kp = cosβ × [cosβ ∓ √(cos²β - cos²φ)] / [cosβ ± √(cos²β - cos²φ)]
+function calculateRankineCoefficients(params) {
+    const phi = params.angleShearingResistance * Math.PI / 180; // φ
+    const beta = params.slopeBackfill * Math.PI / 180; // β
+    const root = Math.sqrt(Math.pow(Math.cos(beta), 2) - Math.pow(Math.cos(phi), 2));
+    
+    return {
+        Ka: Math.cos(beta) * (Math.cos(beta) - root) / (Math.cos(beta) + root),
+        Kp: Math.cos(beta) * (Math.cos(beta) + root) / (Math.cos(beta) - root),
+    };
+}
+
+// EARTH PRESSURE COEFFICIENTS for the theory chosen for a wall
+// Active pressure acts on the back of the wall; passive resistance on the vertical front of the toe under level ground
+function calculateEarthPressureCoefficients(params) {
+    const theory = (params.theory || 'coulomb').toLowerCase();
+    if (!['coulomb', 'rankine'].includes(theory)) {
+        throw new Error(`Unknown earth pressure theory: ${params.theory}`);
+    }
+    if (params.slopeBackfill < 0 || params.slopeBackfill > params.angleShearingResistance) {
+        throw new Error(`Backfill slope β = ${params.slopeBackfill}° must lie between 0° and φ = ${params.angleShearingResistance}°`);
+    }
+    
+    const toe = { ...params, angleWallFace: 90, slopeBackfill: 0 };
+    if (theory === 'rankine') {
+        return {
+            theory: theory,
+            Ka: calculateRankineCoefficients(params).Ka,
+            Kp: calculateRankineCoefficients(toe).Kp,
+            inclination: params.slopeBackfill, // resultant parallel to the backfill surface
+        };
+    }
+    return {
+        theory: theory,
+        Ka: calculateCoulombKa(params),
+        Kp: calculateCoulombKp(toe),
+        inclination: params.angleWallFriction + 90 - params.angleWallFace, // δ to the normal of the back face
+    };
+}
+
+// Zone factors Z (IRC 6 Table 6 / IS 1893); Zone I is retained for sites the older maps place there
+const SEISMIC_ZONE_FACTORS = {
+    I: 0.00,
+    II: 0.10,
+    III: 0.16,
+    IV: 0.24,
+    V: 0.36,
+};
+
+// MONONOBE-OKABE DYNAMIC ACTIVE PRESSURE (IS 1893 Part 3, IRC 6 Cl. 219.5.2) - Zone III and above only
+// Ca = sin²(α+φ-λ) / [cosλ × sin²α × sin(α-δ-λ) × {1 + √[sin(φ+δ)sin(φ-β-λ) / (sin(α-δ-λ)sin(α+β))]}²], λ = tan⁻¹[αh / (1 ± αv)]
+function calculateMononobeOkabe(params, coefficients, seismicZone) {
+    const zone = String(seismicZone || 'I').toUpperCase();
+    if (!(zone in SEISMIC_ZONE_FACTORS)) {
+        throw new Error(`Unknown seismic zone: ${seismicZone}`);
+    }
+    if (['I', 'II'].includes(zone)) {
+        return null;
+    }
+    
+    // Rankine walls are checked on the vertical virtual back with the resultant parallel to the backfill
+    const alphaDeg = coefficients.theory === 'rankine' ? 90 : params.angleWallFace;
+    const deltaDeg = coefficients.theory === 'rankine' ? params.slopeBackfill : params.angleWallFriction;
+    const alpha = alphaDeg * Math.PI / 180; // α
+    const phi = params.angleShearingResistance * Math.PI / 180; // φ
+    const beta = params.slopeBackfill * Math.PI / 180; // β
+    const delta = deltaDeg * Math.PI / 180; // δ
+    
+    const zoneFactor = SEISMIC_ZONE_FACTORS[zone];
+    const alphaH = zoneFactor / 2; // horizontal seismic coefficient
+    const alphaV = 2 / 3 * alphaH; // vertical seismic coefficient
+    
+    const dynamicCoefficient = verticalFactor => {
+        const lambda = Math.atan(alphaH / verticalFactor);
+        const numerator = Math.pow(Math.sin(alpha + phi - lambda), 2);
+        const denominator1 = Math.cos(lambda) * Math.pow(Math.sin(alpha), 2) * Math.sin(alpha - delta - lambda);
+        const sqrtTerm = Math.sqrt(Math.max(0, Math.sin(phi + delta) * Math.sin(phi - beta - lambda)) / (Math.sin(alpha - delta - lambda) * Math.sin(alpha + beta)));
+        return verticalFactor * numerator / (denominator1 * Math.pow(1 + sqrtTerm, 2));
+    };
+    // Greater of (1 + αv)Ca and (1 - αv)Ca governs
+    const Ca = Math.max(dynamicCoefficient(1 + alphaV), dynamicCoefficient(1 - alphaV));
+    
+    return {
+        zone: zone,
+        zoneFactor: zoneFactor,
+        alphaH: Math.round(alphaH * 1000) / 1000,
+        alphaV: Math.round(alphaV * 1000) / 1000,
+        Ca: Math.round(Ca * 1000) / 1000,
+        incrementCoefficient: Math.max(0, Ca - coefficients.Ka), // dynamic increment over the static Ka
+    };
+}
+
+// EARTH PRESSURE CALCULATIONS (Coulomb or Rankine theory - from face_walls.txt)
+// Gravity face wall with a battered back face; moments are taken about the toe C
+function calculateEarthPressure(params, wall, materialProps, seismicZone) {
+    const p = { ...params, angleWallFace: wall.angleWallFace, angleWallFriction: wall.angleWallFriction, slopeBackfill: wall.slopeBackfill, surchargeHeight: wall.surchargeHeight, theory: wall.theory };
+    const coefficients = calculateEarthPressureCoefficients(p);
+    const Ka = coefficients.Ka;
+    const gamma = p.backfillUnitWeight; // KN/m³
+    const gammaConcrete = materialProps.unitWeightPCC; // KN/m³
+    const H = wall.height;
+    const batter = wall.bottomWidth - wall.topWidth;
+    const toe = wall.toeWidth || 0; // footing projection in front of the wall
+    const baseWidth = toe + wall.bottomWidth + wall.heelWidth;
+    
+    // Pressure diagram: rectangular surcharge Ka·γ·hs plus triangular Ka·γ·H
+    const surchargePressure = Ka * gamma * p.surchargeHeight; // KN/m²
+    const maxPressureAtBase = Ka * gamma * H; // KN/m²
+    const surchargeForce = surchargePressure * H; // KN/m
+    const backfillForce = 0.5 * maxPressureAtBase * H; // KN/m
+    const totalEarthPressure = surchargeForce + backfillForce;
+    const heightOfAction = (surchargeForce * H / 2 + backfillForce * H / 3) / totalEarthPressure;
+    
+    // Coulomb: resultant at δ to the normal of the back face, i.e. δ + (90° − α) to the horizontal
+    // Rankine: resultant parallel to the backfill on the vertical plane through the heel
+    const inclination = coefficients.inclination * Math.PI / 180;
+    const horizontalComponent = totalEarthPressure * Math.cos(inclination);
+    const verticalComponent = totalEarthPressure * Math.sin(inclination);
+    const verticalComponentArm = coefficients.theory === 'rankine'
+        ? baseWidth
+        : toe + wall.topWidth + batter * (1 - heightOfAction / H);
+    
+    // Restoring loads per metre run with lever arms about the toe
+    const restoringLoads = [
+        { description: 'Wall - rectangular portion', load: wall.topWidth * H * gammaConcrete, leverArm: toe + wall.topWidth / 2 },
+        { description: 'Wall - triangular portion', load: 0.5 * batter * H * gammaConcrete, leverArm: toe + wall.topWidth + batter / 3 },
+        { description: 'Earth over the back batter', load: 0.5 * batter * H * gamma, leverArm: toe + wall.topWidth + 2 * batter / 3 },
+        { description: 'Vertical component of active earth pressure', load: verticalComponent, leverArm: verticalComponentArm },
+        { description: 'Soil on the heel of footing', load: wall.heelWidth * H * gamma, leverArm: toe + wall.bottomWidth + wall.heelWidth / 2 },
+    ].map(item => ({ ...item, moment: item.load * item.leverArm }));
+    
+    const totalVertical = restoringLoads.reduce((sum, item) => sum + item.load, 0);
+    const restoringMoment = restoringLoads.reduce((sum, item) => sum + item.moment, 0);
+    const overturningMoment = horizontalComponent * heightOfAction;
+    const netMoment = restoringMoment - overturningMoment;
+    
+    // Passive resistance of the soil in front of the toe over the embedded depth
+    const passiveResistance = 0.5 * coefficients.Kp * gamma * Math.pow(wall.toeDepth, 2); // KN/m
+    
+    // Base pressure (weight of soil on the toe is neglected as it may be scoured)
+    const leverArm = netMoment / totalVertical; // x = M/V
+    const eccentricity = baseWidth / 2 - leverArm; // e = b/2 - x
+    const maxStress = (totalVertical / baseWidth) * (1 + (6 * eccentricity / baseWidth)); // P/A(1+6e/b)
+    const minStress = (totalVertical / baseWidth) * (1 - (6 * eccentricity / baseWidth)); // P/A(1-6e/b)
+    const factorSafetySliding = (wall.frictionCoefficient * 0.9 * totalVertical + passiveResistance) / horizontalComponent; // (μ × 0.9 × W + Pp) / Ph
+    const factorSafetyOverturning = restoringMoment / overturningMoment; // Restoring moment / Overturning moment
+    const safeBearingCapacity = materialProps.safeBearingCapacity * 10; // KN/m²
+    
+    const round = value => Math.round(value * 100) / 100;
+    
+    // Mononobe-Okabe increment: backfill part at H/2, surcharge part at 0.66H (IS 1893 Part 3)
+    const dynamic = calculateMononobeOkabe(p, coefficients, seismicZone);
+    let seismic = null;
+    if (dynamic) {
+        const backfillIncrement = dynamic.incrementCoefficient * 0.5 * gamma * Math.pow(H, 2);
+        const surchargeIncrement = dynamic.incrementCoefficient * gamma * p.surchargeHeight * H;
+        const increment = backfillIncrement + surchargeIncrement;
+        const incrementHeight = increment > 0 ? (backfillIncrement * H / 2 + surchargeIncrement * 0.66 * H) / increment : 0;
+        const seismicHorizontal = horizontalComponent + increment * Math.cos(inclination);
+        const seismicVertical = totalVertical + increment * Math.sin(inclination);
+        const seismicRestoring = restoringMoment + increment * Math.sin(inclination) * verticalComponentArm;
+        const seismicOverturning = overturningMoment + increment * Math.cos(inclination) * incrementHeight;
+        const seismicSliding = (wall.frictionCoefficient * 0.9 * seismicVertical + passiveResistance) / seismicHorizontal;
+        const seismicOverturningFoS = seismicRestoring / seismicOverturning;
+        seismic = {
+            ...dynamic,
+            incrementCoefficient: Math.round(dynamic.incrementCoefficient * 1000) / 1000,
+            increment: round(increment),
+            incrementHeight: round(incrementHeight),
+            horizontalPressure: round(seismicHorizontal),
+            overturningMoment: round(seismicOverturning),
+            safetyFactorSliding: round(seismicSliding),
+            safetyFactorOverturning: round(seismicOverturningFoS),
+            isStable: seismicSliding > 1.25 && seismicOverturningFoS > 1.5,
+        };
+    }
+    
+    return {
+        theory: coefficients.theory,
+        Ka: Math.round(Ka * 1000) / 1000,
+        Kp: Math.round(coefficients.Kp * 1000) / 1000,
+        slopeBackfill: p.slopeBackfill,
+        inclination: round(coefficients.inclination),
+        surchargePressure: round(surchargePressure),
+        maxPressureAtBase: round(maxPressureAtBase),
+        totalEarthPressure: round(totalEarthPressure),
+        heightOfAction: round(heightOfAction),
+        horizontalPressure: round(horizontalComponent),
+        verticalPressure: round(verticalComponent),
+        restoringLoads: restoringLoads.map(item => ({ ...item, load: round(item.load), leverArm: round(item.leverArm), moment: round(item.moment) })),
+        totalVertical: round(totalVertical),
+        restoringMoment: round(restoringMoment),
+        overturningMoment: round(overturningMoment),
+        baseWidth: round(baseWidth),
+        toeDepth: wall.toeDepth,
+        passiveResistance: round(passiveResistance),
+        leverArm: round(leverArm),
+        eccentricity: round(eccentricity),
+        maxStress: round(maxStress),
+        minStress: round(minStress),
+        safetyFactorSliding: round(factorSafetySliding),
+        safetyFactorOverturning: round(factorSafetyOverturning),
+        seismic: seismic,
+        isStable: factorSafetySliding > 1.25 && factorSafetyOverturning > 1.5 && maxStress < safeBearingCapacity && minStress >= 0 && (!seismic || seismic.isStable),
+    };
+}
+
+// Face wall bits along the approach (face_walls.txt); α follows from the back batter when not given
+const FACE_WALL_SECTIONS = [
+    { name: 'BIT-I', type: 'face', heightAboveGround: 2.40, heightBelowGround: 0, topWidth: 0.30, bottomWidth: 1.50, heelWidth: 0.30 },
+    { name: 'BIT-II', type: 'face', heightAboveGround: 1.80, heightBelowGround: 0, topWidth: 0.30, bottomWidth: 1.20, heelWidth: 0.30 },
+    { name: 'BIT-III', type: 'face', heightAboveGround: 1.20, heightBelowGround: 0, topWidth: 0.30, bottomWidth: 0.80, heelWidth: 0.30 },
+    { name: 'BIT-IV', type: 'face', heightAboveGround: 0.80, heightBelowGround: 0, topWidth: 0.30, bottomWidth: 0.50, heelWidth: 0.30 },
+];
+
+// FACE WALL AND WING WALL DESIGN - stability and base pressure of each gravity wall along the approach
+// A face wall has one section; a wing wall splays back from the abutment with its retained height (and
+// optionally its base width) falling linearly to the tail, so it is checked at quarter points along its length
+function calculateFaceWallDesign(walls, backfill, materialProps, seismicZone) {
+    const safeBearingCapacity = materialProps.safeBearingCapacity * 10; // KN/m²
+    const round = value => Math.round(value * 100) / 100;
+    
+    const results = walls.map((section, index) => {
+        const name = section.name || `Wall ${index + 1}`;
+        const type = section.type || 'face';
+        if (!['face', 'wing'].includes(type)) {
+            throw new Error(`${name}: unknown wall type ${type}; use face or wing`);
+        }
+        const heightAboveGround = section.heightAboveGround ?? section.height;
+        const heightBelowGround = section.heightBelowGround || 0;
+        const heightAtEnd = type === 'wing' ? section.heightAtEnd ?? 0 : heightAboveGround; // above G.L at the tail
+        const bottomWidthAtEnd = type === 'wing' ? section.bottomWidthAtEnd ?? section.bottomWidth : section.bottomWidth;
+        if (!(heightAboveGround > 0) || !(section.topWidth > 0) || !(section.bottomWidth >= section.topWidth)) {
+            throw new Error(`${name}: height and top width must be positive and the bottom width at least the top width`);
+        }
+        if (type === 'wing' && (!(heightAtEnd >= 0) || heightAtEnd > heightAboveGround || !(bottomWidthAtEnd >= section.topWidth))) {
+            throw new Error(`${name}: wing wall tail height must be between 0 and the root height, and its bottom width at least the top width`);
+        }
+        
+        // Sections from the root (t = 0) to the tail (t = 1); the tail is skipped when nothing is retained there
+        const stations = type === 'wing' ? [0, 0.25, 0.5, 0.75, 1] : [0];
+        const sections = stations.map(t => {
+            const retained = heightAboveGround + (heightAtEnd - heightAboveGround) * t;
+            const wall = {
+                name: name,
+                topWidth: section.topWidth,
+                heelWidth: section.heelWidth || 0,
+                toeWidth: section.toeWidth || 0,
+                angleWallFriction: backfill.angleWallFriction,
+                slopeBackfill: backfill.slopeBackfill,
+                surchargeHeight: backfill.surchargeHeight,
+                frictionCoefficient: backfill.frictionCoefficient,
+                theory: backfill.theory,
+                ...section,
+                bottomWidth: section.bottomWidth + (bottomWidthAtEnd - section.bottomWidth) * t,
+            };
+            wall.height = retained + heightBelowGround;
+            wall.toeDepth = section.toeDepth ?? heightBelowGround; // soil in front of the toe below G.L
+            // Back face batter from the top width to the bottom width over the full height: α = tan⁻¹(H / batter)
+            const batter = wall.bottomWidth - wall.topWidth;
+            wall.angleWallFace = section.angleWallFace ?? (batter > 0 ? round(Math.atan(wall.height / batter) * 180 / Math.PI) : 90);
+            return { t, retained, wall };
+        }).filter(({ retained }) => retained > 0).map(({ t, retained, wall }) => {
+            const stability = calculateEarthPressure(backfill, wall, materialProps, seismicZone);
+            const checks = {
+                sliding: stability.safetyFactorSliding > 1.25,
+                overturning: stability.safetyFactorOverturning > 1.5,
+                bearing: stability.maxStress < safeBearingCapacity,
+                noTension: stability.minStress >= 0,
+                seismic: !stability.seismic || stability.seismic.isStable,
+            };
+            return {
+                position: t === 0 ? 'root' : t === 1 ? 'tail' : `${t * 100}% of length`,
+                geometry: {
+                    height: round(wall.height),
+                    heightAboveGround: round(retained),
+                    heightBelowGround: heightBelowGround,
+                    topWidth: wall.topWidth,
+                    bottomWidth: round(wall.bottomWidth),
+                    heelWidth: wall.heelWidth,
+                    toeWidth: wall.toeWidth,
+                    angleWallFace: wall.angleWallFace,
+                },
+                stability: stability,
+                basePressure: {
+                    baseWidth: stability.baseWidth,
+                    eccentricity: stability.eccentricity,
+                    maxStress: stability.maxStress,
+                    minStress: stability.minStress,
+                    safeBearingCapacity: safeBearingCapacity,
+                },
+                checks: checks,
+                status: Object.values(checks).every(Boolean) ? 'PASS' : 'FAIL',
+            };
+        });
+        
+        // The root section carries the reported stability; every section must pass
+        const root = sections[0];
+        const checks = Object.fromEntries(Object.keys(root.checks).map(key => [key, sections.every(item => item.checks[key])]));
+        return {
+            name: name,
+            type: type,
+            geometry: type === 'wing'
+                ? { ...root.geometry, heightAtEnd: heightAtEnd, bottomWidthAtEnd: bottomWidthAtEnd, length: section.length ?? null }
+                : root.geometry,
+            stability: root.stability,
+            basePressure: root.basePressure,
+            sections: type === 'wing' ? sections : undefined,
+            checks: checks,
+            status: Object.values(checks).every(Boolean) ? 'PASS' : 'FAIL',
+        };
+    });
+    
+    return {
+        walls: results,
+        allSafe: results.every(result => result.status === 'PASS'),
+    };
+}
+
+// FOUNDATION DESIGN CALCULATIONS (Multi-tier system)
+function calculateFoundationDesign(structuralParams, materialProps, loadAnalysis) {
+    // Biaxial stresses at every footing tier under each load envelope
+    const tierStresses = calculateTierStresses(structuralParams, materialProps, loadAnalysis);
+    
+    // Soil pressure under the RCC strip footing of each support against SBC (t/m² → KN/m²), taking the
+    // envelope that uses the largest share of its permissible pressure (increased in seismic combinations)
+    const allowablePressure = materialProps.safeBearingCapacity * 10; // KN/m²
+    const bases = ['abutment', 'pier'].map(support => {
+        const base = tierStresses[support][tierStresses[support].length - 1];
+        const governing = base.envelopes.reduce((max, stress) => {
+            const utilisation = stress.maxStress / (base.permissibleCompression * (stress.seismic ? structuralParams.seismic.stressIncrease : 1));
+            return utilisation > max.utilisation ? { ...stress, utilisation } : max;
+        }, { utilisation: -Infinity });
+        return {
+            support: support,
+            envelope: governing.envelope,
+            maxPressure: governing.maxStress,
+            minPressure: Math.min(...base.envelopes.map(stress => stress.minStress)),
+            permissiblePressure: base.permissibleCompression,
+            utilisation: Math.round(governing.utilisation * 1000) / 1000,
+            isSafe: base.isSafe,
+        };
+    });
+    const governingBase = bases.reduce((max, base) => base.utilisation > max.utilisation ? base : max);
+    
+    return {
+        foundationPressure: governingBase.maxPressure,
+        allowablePressure: allowablePressure,
+        permissiblePressure: governingBase.permissiblePressure,
+        safetyFactor: Math.round(100 / governingBase.utilisation) / 100,
+        bases: bases,
+        tierStresses: tierStresses,
+        bearingSafe: bases.every(base => base.utilisation <= 1 && base.minPressure >= 0),
+        isSafe: bases.every(base => base.isSafe),
+    };
+}
+
+// STRESSES AT EACH FOOTING TIER (structural_design_abutment.txt / pile-design.txt, section IV)
+// σ = P/A ± Mx/Zx ± My/Zy, with b across traffic and d along it
+function calculateTierStresses(structuralParams, materialProps, loadAnalysis) {
+    const p = structuralParams;
+    const ordinals = ['1st', '2nd', '3rd', '4th', '5th'];
+    const permissibleCompression = materialProps.permissibleDirectCompression * 1000; // KN/m²
+    const permissibleTension = -materialProps.permissibleBendingTension * 1000; // KN/m²
+    // For RCC strip footing permissible bearing pressure is 1.5 × SBC; no tension on soil (IRC 78:2000, clause 706.3.3.1)
+    const permissibleBearing = 1.5 * materialProps.safeBearingCapacity * 10; // KN/m²
+    const stripFootingWeight = p.stripFootingWidth * p.stripFootingLength * p.stripFootingThickness * materialProps.unitWeightRCC;
+    
+    const result = {};
+    Object.entries(loadAnalysis.envelopes).forEach(([support, { envelopes }]) => {
+        const footings = p[`${support}Footings`];
+        const components = loadAnalysis.deadLoadComponents.filter(component => component.support === support);
+        const weightAbove = tiers => components
+            .filter(component => !component.tier || component.tier <= tiers)
+            .reduce((sum, component) => sum + component.load, 0);
+        const heightBelow = tiers => footings.slice(tiers).reduce((sum, footing) => sum + footing.thickness, 0);
+        // Buoyancy of the submerged components above a section, including the strip footing at its base
+        const buoyancyAbove = (envelope, tiers, includeStrip) => loadAnalysis.buoyancy[support][envelope.buoyancyCondition].items
+            .filter(item => item.tier === 'strip' ? includeStrip : item.tier <= tiers)
+            .reduce((sum, item) => sum + item.force, 0);
+        const eccentricities = loadAnalysis.selfWeightEccentricities[support];
+        
+        // Sections from the base of the stem down to the founding level
+        const sections = [
+            {
+                name: 'On top of 1st footing',
+                breadth: p.carriageWayWidth,
+                depth: support === 'abutment' ? p.bottomWidthAbutment : p.bottomWidthPier,
+                selfWeight: weightAbove(0),
+                tiers: 0,
+                selfWeightEccentricity: eccentricities[0].eccentricity,
+                height: heightBelow(0),
+                material: 'concrete',
+            },
+            ...footings.map((footing, i) => ({
+                name: i === footings.length - 1 ? 'On top of RCC strip footing' : `On top of ${ordinals[i + 1]} footing`,
+                breadth: p.carriageWayWidth,
+                depth: footing.width,
+                selfWeight: weightAbove(i + 1),
+                tiers: i + 1,
+                selfWeightEccentricity: eccentricities[i + 1].eccentricity,
+                height: heightBelow(i + 1),
+                material: 'concrete',
+            })),
+            {
+                name: 'Base of RCC strip footing',
+                breadth: p.stripFootingLength,
+                depth: p.stripFootingWidth,
+                selfWeight: weightAbove(footings.length) + stripFootingWeight,
+                tiers: footings.length,
+                includesStrip: true,
+                selfWeightEccentricity: eccentricities[footings.length].eccentricity,
+                height: -p.stripFootingThickness,
+                material: 'soil',
+            },
+        ];
+
+        result[support] = sections.map(section => {
+            const area = section.breadth * section.depth;
+            const zx = section.breadth * Math.pow(section.depth, 2) / 6;
+            const zy = section.depth * Math.pow(section.breadth, 2) / 6;
+            
+            const envelopeStresses = envelopes.map(envelope => {
+                // Self weight and buoyancy are taken for the part above the section, lever arms from the section
+                const cases = envelope.cases.map(loadCase => {
+                    const level = loadCase.levels ? loadCase.levels[section.tiers] : null; // seismic inertia above the section
+                    const load = loadCase.key === 'selfWeight' ? section.selfWeight
+                        : loadCase.key === 'buoyancy' ? -buoyancyAbove(envelope, section.tiers, section.includesStrip === true)
+                        : level ? level.load
+                        : loadCase.load;
+                    const factored = load * loadCase.factor;
+                    const leverArm = loadCase.type === 'horizontal' ? (level ? level.leverArm : loadCase.leverArm) - section.height : 0;
+                    const ey = ['selfWeight', 'buoyancy', 'seismicSubstructureVertical'].includes(loadCase.key) ? section.selfWeightEccentricity : loadCase.ey;
+                    return {
+                        ...loadCase,
+                        factored: factored,
+                        mx: loadCase.type === 'vertical' ? -factored * ey : (loadCase.direction === 'y' ? factored * leverArm : 0),
+                        my: loadCase.type === 'vertical' ? factored * loadCase.ex : (loadCase.direction === 'x' ? factored * leverArm : 0),
+                        // Restoring moments about the canal side and bank side toes
+                        restoringCanal: loadCase.type === 'vertical' ? factored * (section.depth / 2 + ey) : 0,
+                        restoringBank: loadCase.type === 'vertical' ? factored * (section.depth / 2 - ey) : 0,
+                        overturning: loadCase.direction === 'y' ? factored * leverArm : 0,
+                    };
+                });
+                
+                const vertical = cases.filter(loadCase => loadCase.type === 'vertical').reduce((sum, loadCase) => sum + loadCase.factored, 0);
+                const mx = cases.reduce((sum, loadCase) => sum + loadCase.mx, 0);
+                const my = cases.reduce((sum, loadCase) => sum + loadCase.my, 0);
+                const direct = vertical / area;
+                const maxStress = direct + Math.abs(mx) / zx + Math.abs(my) / zy;
+                const minStress = direct - Math.abs(mx) / zx - Math.abs(my) / zy;
+                // Permissible stresses are increased and stability factors relaxed in the seismic combination
+                const increase = envelope.seismic ? p.seismic.stressIncrease : 1;
+                const stressSafe = section.material === 'soil'
+                    ? maxStress <= permissibleBearing * increase && minStress >= 0
+                    : maxStress <= permissibleCompression * increase && minStress >= permissibleTension * increase;
+                
+                // Stability along traffic about the toe of the section (IRC 78:2000, clause 706.3.4)
+                const horizontal = Math.hypot(
+                    cases.filter(loadCase => loadCase.direction === 'x').reduce((sum, loadCase) => sum + loadCase.factored, 0),
+                    cases.filter(loadCase => loadCase.direction === 'y').reduce((sum, loadCase) => sum + loadCase.factored, 0));
+                const netOverturning = cases.reduce((sum, loadCase) => sum + loadCase.overturning, 0);
+                const overturningMoment = Math.abs(netOverturning);
+                const restoringMoment = cases.reduce((sum, loadCase) => sum + (netOverturning >= 0 ? loadCase.restoringCanal : loadCase.restoringBank), 0);
+                const friction = section.material === 'soil' ? materialProps.frictionCoefficientSoil : materialProps.frictionCoefficientConcrete;
+                const overturningFactor = overturningMoment > 0 ? restoringMoment / overturningMoment : null; // null when no overturning force
+                const slidingFactor = horizontal > 0 ? friction * vertical / horizontal : null;
+                const requiredOverturning = envelope.seismic ? p.seismic.overturningFactor : 2.0;
+                const requiredSliding = envelope.seismic ? p.seismic.slidingFactor : 1.5;
+                const isStable = (overturningFactor === null || overturningFactor >= requiredOverturning) && (slidingFactor === null || slidingFactor >= requiredSliding);
+                
+                return {
+                    envelope: envelope.id,
+                    seismic: envelope.seismic,
+                    vertical: Math.round(vertical * 100) / 100,
+                    mx: Math.round(mx * 100) / 100,
+                    my: Math.round(my * 100) / 100,
+                    directStress: Math.round(direct * 100) / 100,
+                    maxStress: Math.round(maxStress * 100) / 100,
+                    minStress: Math.round(minStress * 100) / 100,
+                    hasTension: minStress < 0,
+                    horizontal: Math.round(horizontal * 100) / 100,
+                    overturningMoment: Math.round(overturningMoment * 100) / 100,
+                    restoringMoment: Math.round(restoringMoment * 100) / 100,
+                    overturningFactor: overturningFactor === null ? null : Math.round(overturningFactor * 100) / 100,
+                    slidingFactor: slidingFactor === null ? null : Math.round(slidingFactor * 100) / 100,
+                    isStable: isStable,
+                    isSafe: stressSafe && isStable,
+                };
+            });
+            
+            return {
+                section: section.name,
+                breadth: section.breadth,
+                depth: section.depth,
+                area: Math.round(area * 1000) / 1000,
+                zx: Math.round(zx * 1000) / 1000,
+                zy: Math.round(zy * 1000) / 1000,
+                permissibleCompression: section.material === 'soil' ? permissibleBearing : permissibleCompression,
+                permissibleTension: section.material === 'soil' ? 0 : permissibleTension,
+                envelopes: envelopeStresses,
+                isSafe: envelopeStresses.every(stress => stress.isSafe),
+            };
+        });
+    });
     
-    // Dicken's Formula: Q = C × A^(3/4)
-    const dickensDischarge = 11.7 * Math.pow(params.catchmentArea, 3/4); // C = 11.7 for this region
+    result.isSafe = ['abutment', 'pier'].every(support => result[support].every(section => section.isSafe));
+    return result;
+}
+
+// PIER DESIGN (pile-design.txt) - geometry, self weight eccentricity, water current, stresses and stability
+function calculatePierDesign(structuralParams, materialProps, loadAnalysis, foundationResults) {
+    const p = structuralParams;
+    const sections = foundationResults.tierStresses.pier;
+    const baseOfPier = sections[0];
     
-    // Ventway calculations (IRC SP:82-2008)
-    const unobstructedArea = 66.53; // sqm (RTL to stream bed)
-    const ventedAreaProvided = 26.21; // sqm
-    const ventPercentage = (ventedAreaProvided / unobstructedArea) * 100;
+    const footings = p.pierFootings.map((footing, i) => {
+        const canalOffset = footing.canalOffset ?? (footing.width - p.bottomWidthPier) / 2;
+        return {
+            tier: i + 1,
+            width: footing.width,
+            thickness: footing.thickness,
+            canalOffset: canalOffset,
+            bankOffset: Math.round((footing.width - p.bottomWidthPier - canalOffset) * 1000) / 1000,
+        };
+    });
     
-    // Scour depth calculation (Lacey's equation)
-    const scourDepth = 0.47 * Math.pow(designDischarge / width, 1/3);
+    const stability = baseOfPier.envelopes.map(stress => ({
+        envelope: stress.envelope,
+        vertical: stress.vertical,
+        horizontal: stress.horizontal,
+        overturningMoment: stress.overturningMoment,
+        restoringMoment: stress.restoringMoment,
+        overturningFactor: stress.overturningFactor,
+        slidingFactor: stress.slidingFactor,
+        isStable: stress.isStable,
+    }));
     
     return {
-        hydraulicRadius: Math.round(hydraulicRadius * 100) / 100,
-        velocity: Math.round(velocity * 100) / 100,
-        designDischarge: Math.round(Math.max(designDischarge, dickensDischarge) * 100) / 100,
-        ventPercentage: Math.round(ventPercentage * 100) / 100,
-        scourDepth: Math.round(scourDepth * 100) / 100,
-        afflux: 0.131, // m (calculated)
+        geometry: {
+            height: p.pierHeight,
+            topWidth: p.topWidthPier,
+            bottomWidth: p.bottomWidthPier,
+            frontBatter: p.pierFrontBatter,
+            backBatter: p.pierBackBatter,
+            sectionArea: Math.round((p.topWidthPier + p.bottomWidthPier) / 2 * p.pierHeight * 1000) / 1000,
+            bedBlock: { thickness: p.bedBlockThickness, sectionArea: p.bedBlockSectionArea },
+            footings: footings,
+            stripFooting: { width: p.stripFootingWidth, length: p.stripFootingLength, thickness: p.stripFootingThickness },
+        },
+        deadLoad: loadAnalysis.deadLoadComponents.filter(component => component.support === 'pier'),
+        selfWeightEccentricity: loadAnalysis.selfWeightEccentricities.pier,
+        waterCurrent: loadAnalysis.waterCurrentOnPier,
+        buoyancy: loadAnalysis.buoyancy.pier,
+        envelopes: loadAnalysis.envelopes.pier,
+        stresses: sections,
+        stability: stability,
+        isSafe: sections.every(section => section.isSafe),
     };
 }
 
-// COMPREHENSIVE LOAD CALCULATIONS (from all structural files)
-function calculateComprehensiveLoads(structuralParams, materialProps, length, width, height, waterDepth) {
-    // Dead Load Components (from structural_design_abutment.txt)
-    const deadLoadComponents = {
-        deckSlab: 244.80, // KN (calculated in text file)
-        dirtWall: 55.50, // KN
-        wearingCoat: 38.25, // KN
-        pierSelfWeight: 155.52, // KN
-        abutmentSelfWeight: 155.52, // KN
-        firstFooting: 58.32, // KN
-        secondFooting: 64.80, // KN
-        thirdFooting: 71.28, // KN
-    };
-    
-    const totalDeadLoad = Object.values(deadLoadComponents).reduce((a, b) => a + b, 0);
+// EARTH PRESSURE ON ABUTMENT AND DIRT WALL (structural_design_abutment.txt, III.8)
+// Rectangular surcharge block Ka·γ·h3 plus triangular backfill pressure Ka·γ·H over the carriageway width
+function calculateAbutmentEarthPressure(structuralParams, earthPressureParams, coefficients, seismicZone) {
+    const p = structuralParams;
+    const Ka = coefficients.Ka;
+    const gamma = earthPressureParams.backfillUnitWeight;
+    const delta = coefficients.inclination * Math.PI / 180;
     
-    // IRC Class A Live Load (from pile-design.txt)
-    const liveLoadComponents = {
-        wheelLoads: 296.00, // KN
-        udlLeftSide: 22.19, // KN
-        udlRightSide: 160.23, // KN
-        totalLiveLoad: 478.41, // KN
-        impactFactor: 4.5 / (6 + length), // IRC formula
-        criticalReaction: 421.85, // KN
+    const pressureDiagram = (height, surchargeHeight) => {
+        const surchargeForce = Ka * gamma * surchargeHeight * height; // KN/m
+        const backfillForce = 0.5 * Ka * gamma * Math.pow(height, 2); // KN/m
+        const forcePerMetre = surchargeForce + backfillForce;
+        return {
+            surchargeHeight: surchargeHeight,
+            pressureTop: Math.round(Ka * gamma * surchargeHeight * 100) / 100, // KN/m²
+            pressureBase: Math.round(Ka * gamma * (surchargeHeight + height) * 100) / 100, // KN/m²
+            forcePerMetre: forcePerMetre,
+            momentPerMetre: surchargeForce * height / 2 + backfillForce * height / 3, // about the base, KN-m/m
+            height: forcePerMetre > 0 ? (surchargeForce * height / 2 + backfillForce * height / 3) / forcePerMetre : 0,
+        };
     };
     
-    // Water Forces (from hydraulic calculations)
-    const waterForces = {
-        buoyancy: 145.80, // KN (volume × water unit weight)
-        upliftForce: 221.54, // KN (w × h × area)
-        waterCurrentDeck: 10.74, // KN (52 × K × V² × area)
-        waterCurrentPier: 4.30, // KN
-        frictionDeck: 4.96, // KN (friction coefficient × ρ × (C × Vv)²)
-        frictionPier: 0.50, // KN
-        staticPressure: 16.09, // KN
+    const stemCase = surchargeHeight => {
+        const diagram = pressureDiagram(p.abutmentHeight, surchargeHeight);
+        const force = diagram.forcePerMetre * p.carriageWayWidth;
+        return {
+            surchargeHeight: surchargeHeight,
+            pressureTop: diagram.pressureTop,
+            pressureBase: diagram.pressureBase,
+            total: Math.round(force * 100) / 100,
+            horizontal: Math.round(force * Math.cos(delta) * 100) / 100,
+            vertical: Math.round(force * Math.sin(delta) * 100) / 100,
+            height: Math.round(diagram.height * 1000) / 1000, // above base of abutment
+        };
     };
     
-    // Environmental Loads
-    const environmentalLoads = {
-        windLoad: 18.00, // KN (wind pressure × area)
-        tractiveForce: 47.84, // KN (20% of live load)
-        seismicForce: 0.00, // KN (Zone I - not required)
-    };
+    // Dirt wall retains the backfill over its full height, cantilevering from the top of the stem
+    const dirtWallHeight = getDirtWallHeight(p);
+    const dirtWallDiagram = pressureDiagram(dirtWallHeight, earthPressureParams.surchargeHeight);
+    const dirtWallModulus = Math.pow(p.dirtWallThickness, 2) / 6; // m³/m
+    
+    // Mononobe-Okabe increment over the stem for Zone III and above; backfill part at H/2, surcharge part at 0.66H
+    const dynamic = calculateMononobeOkabe(earthPressureParams, coefficients, seismicZone);
+    let seismic = null;
+    if (dynamic) {
+        const backfillIncrement = dynamic.incrementCoefficient * 0.5 * gamma * Math.pow(p.abutmentHeight, 2) * p.carriageWayWidth;
+        const surchargeIncrement = dynamic.incrementCoefficient * gamma * earthPressureParams.surchargeHeight * p.abutmentHeight * p.carriageWayWidth;
+        const increment = backfillIncrement + surchargeIncrement;
+        seismic = {
+            ...dynamic,
+            incrementCoefficient: Math.round(dynamic.incrementCoefficient * 1000) / 1000,
+            increment: Math.round(increment * 100) / 100,
+            horizontal: Math.round(increment * Math.cos(delta) * 100) / 100,
+            vertical: Math.round(increment * Math.sin(delta) * 100) / 100,
+            height: increment > 0 ? Math.round((backfillIncrement * p.abutmentHeight / 2 + surchargeIncrement * 0.66 * p.abutmentHeight) / increment * 1000) / 1000 : 0,
+        };
+    }
     
     return {
-        deadLoad: totalDeadLoad,
-        liveLoad: liveLoadComponents.totalLiveLoad,
-        waterForces: waterForces,
-        environmentalLoads: environmentalLoads,
-        totalVertical: totalDeadLoad + liveLoadComponents.totalLiveLoad,
-        impactFactor: liveLoadComponents.impactFactor,
+        theory: coefficients.theory,
+        Ka: Math.round(Ka * 1000) / 1000,
+        Kp: Math.round(coefficients.Kp * 1000) / 1000,
+        withSurcharge: stemCase(earthPressureParams.surchargeHeight),
+        withoutSurcharge: stemCase(0),
+        verticalEccentricity: p.bottomWidthAbutment / 2, // Pv acts on the back face of the stem
+        dirtWall: {
+            height: Math.round(dirtWallHeight * 1000) / 1000,
+            thickness: p.dirtWallThickness,
+            forcePerMetre: Math.round(dirtWallDiagram.forcePerMetre * 100) / 100,
+            momentPerMetre: Math.round(dirtWallDiagram.momentPerMetre * 100) / 100,
+            bendingStress: Math.round(dirtWallDiagram.momentPerMetre / dirtWallModulus * 100) / 100, // KN/m²
+        },
+        seismic: seismic,
     };
 }
 
-// EARTH PRESSURE CALCULATIONS (Coulomb's Theory - from face_walls.txt)
-function calculateEarthPressure(params, wallHeight) {
-    // Convert angles to radians
-    const alpha = params.angleWallFace * Math.PI / 180; // α
-    const phi = params.angleShearingResistance * Math.PI / 180; // φ
-    const beta = params.slopeBackfill * Math.PI / 180; // β
-    const delta = params.angleWallFriction * Math.PI / 180; // δ
-    
-    // Coulomb's Active Earth Pressure Coefficient
-    // Ka = sin²(α+φ) / [sin²α × sin(α-δ) × {1 + √[sin(φ+δ)sin(φ-β)/sin(α+β)]}²]
-    const numerator = Math.pow(Math.sin(alpha + phi), 2);
-    const denominator1 = Math.pow(Math.sin(alpha), 2) * Math.sin(alpha - delta);
-    const sqrtTerm = Math.sqrt((Math.sin(phi + delta) * Math.sin(phi - beta)) / Math.sin(alpha + beta));
-    const denominator2 = Math.pow(1 + sqrtTerm, 2);
+// ABUTMENT DESIGN (structural_design_abutment.txt) - earth pressure, dirt wall, tier stresses and stability
+function calculateAbutmentDesign(structuralParams, materialProps, loadAnalysis, foundationResults, abutmentEarthPressure) {
+    const p = structuralParams;
+    const sections = foundationResults.tierStresses.abutment;
+    const dirtWall = abutmentEarthPressure.dirtWall;
+    const permissibleTension = materialProps.permissibleBendingTension * 1000; // KN/m²
     
-    const Ka = numerator / (denominator1 * denominator2);
-    
-    // Earth pressure calculations
-    const surchargeLoad = 615.6; // Kg/m² (from face_walls.txt)
-    const maxPressureAtBase = 2462.40; // Kg/m²
-    const totalEarthPressure = 4432.32; // Kg
-    
-    // Components
-    const horizontalComponent = 3050.65; // Kg
-    const verticalComponent = 3215.43; // Kg
-    
-    // Stability calculations
-    const stabilityMoments = {
-        wallWeight: 5184.00, // Kg (upper + lower)
-        earthWeight: 2592.00, // Kg
-        verticalEarthPressure: 3215.43, // Kg
-        soilOnHeel: 1296.00, // Kg
-        totalVertical: 12287.43, // Kg
-        horizontalForce: 3050.65, // Kg
-        netMoment: 8011.28, // Kg-m
-    };
+    const footings = p.abutmentFootings.map((footing, i) => {
+        const canalOffset = footing.canalOffset ?? (footing.width - p.bottomWidthAbutment) / 2;
+        return {
+            tier: i + 1,
+            width: footing.width,
+            thickness: footing.thickness,
+            canalOffset: canalOffset,
+            bankOffset: Math.round((footing.width - p.bottomWidthAbutment - canalOffset) * 1000) / 1000,
+        };
+    });
     
-    const leverArm = stabilityMoments.netMoment / stabilityMoments.totalVertical; // x = M/V
-    const eccentricity = 0.75 - leverArm; // e = b/2 - x
-    const maxStress = (stabilityMoments.totalVertical / 1.5) * (1 + (6 * eccentricity / 1.5)); // P/A(1+6e/b)
-    const factorSafetySliding = 1.81; // (μ × 0.9 × W) / Ph
-    const factorSafetyOverturning = 3.27; // Restoring moment / Overturning moment
+    // Sliding and overturning at every tier, scoured (Envelope-I) and intact (II, III) backfill
+    const stability = sections.map(section => ({
+        section: section.section,
+        checks: section.envelopes.map(stress => ({
+            envelope: stress.envelope,
+            vertical: stress.vertical,
+            horizontal: stress.horizontal,
+            overturningMoment: stress.overturningMoment,
+            restoringMoment: stress.restoringMoment,
+            overturningFactor: stress.overturningFactor,
+            slidingFactor: stress.slidingFactor,
+            maxBasePressure: stress.maxStress,
+            minBasePressure: stress.minStress,
+            isStable: stress.isStable,
+        })),
+    }));
     
     return {
-        Ka: Math.round(Ka * 1000) / 1000,
-        horizontalPressure: horizontalComponent,
-        verticalPressure: verticalComponent,
-        leverArm: Math.round(leverArm * 100) / 100,
-        eccentricity: Math.round(eccentricity * 100) / 100,
-        maxStress: Math.round(maxStress * 100) / 100,
-        safetyFactorSliding: factorSafetySliding,
-        safetyFactorOverturning: factorSafetyOverturning,
-        isStable: factorSafetySliding > 1.25 && factorSafetyOverturning > 1.5 && maxStress < 15000,
+        geometry: {
+            height: p.abutmentHeight,
+            topWidth: p.topWidthAbutment,
+            bottomWidth: p.bottomWidthAbutment,
+            frontBatter: p.abutmentFrontBatter,
+            backBatter: p.abutmentBackBatter,
+            sectionArea: Math.round((p.topWidthAbutment + p.bottomWidthAbutment) / 2 * p.abutmentHeight * 1000) / 1000,
+            dirtWall: { thickness: p.dirtWallThickness, sectionArea: p.dirtWallSectionArea },
+            footings: footings,
+            stripFooting: { width: p.stripFootingWidth, length: p.stripFootingLength, thickness: p.stripFootingThickness },
+        },
+        deadLoad: loadAnalysis.deadLoadComponents.filter(component => component.support === 'abutment'),
+        selfWeightEccentricity: loadAnalysis.selfWeightEccentricities.abutment,
+        earthPressure: {
+            theory: abutmentEarthPressure.theory,
+            Ka: abutmentEarthPressure.Ka,
+            Kp: abutmentEarthPressure.Kp,
+            seismic: abutmentEarthPressure.seismic,
+            withSurcharge: abutmentEarthPressure.withSurcharge,
+            withoutSurcharge: abutmentEarthPressure.withoutSurcharge,
+            verticalEccentricity: abutmentEarthPressure.verticalEccentricity,
+        },
+        dirtWall: {
+            ...dirtWall,
+            selfWeight: loadAnalysis.deadLoadComponents.find(component => component.component === 'Dirt wall').load,
+            permissibleTension: permissibleTension,
+            isSafe: dirtWall.bendingStress <= permissibleTension,
+        },
+        buoyancy: loadAnalysis.buoyancy.abutment,
+        envelopes: loadAnalysis.envelopes.abutment,
+        stresses: sections,
+        stability: stability,
+        isSafe: sections.every(section => section.isSafe) && dirtWall.bendingStress <= permissibleTension,
     };
 }
 
-// FOUNDATION DESIGN CALCULATIONS (Multi-tier system)
-function calculateFoundationDesign(loadAnalysis, materialProps, length, width) {
-    // Multi-tier footing system (from structural files)
-    const footingLevels = {
-        first: { width: 1.35, thickness: 0.30, load: 58.32 }, // m, KN
-        second: { width: 1.50, thickness: 0.30, load: 64.80 },
-        third: { width: 1.65, thickness: 0.30, load: 71.28 },
-        strip: { width: 1.95, thickness: 0.45, load: 170.10 },
-    };
+// Effective width coefficient α for simply supported slabs against B / L0 (IRC 21:2000, clause 305.16.2)
+const EFFECTIVE_WIDTH_ALPHA = [
+    { ratio: 0.1, alpha: 0.40 },
+    { ratio: 0.2, alpha: 0.80 },
+    { ratio: 0.3, alpha: 1.16 },
+    { ratio: 0.4, alpha: 1.48 },
+    { ratio: 0.5, alpha: 1.72 },
+    { ratio: 0.6, alpha: 1.96 },
+    { ratio: 0.7, alpha: 2.12 },
+    { ratio: 0.8, alpha: 2.24 },
+    { ratio: 0.9, alpha: 2.36 },
+    { ratio: 1.0, alpha: 2.48 },
+    { ratio: 1.1, alpha: 2.60 },
+    { ratio: 1.2, alpha: 2.64 },
+    { ratio: 1.3, alpha: 2.72 },
+    { ratio: 1.4, alpha: 2.80 },
+    { ratio: 1.5, alpha: 2.84 },
+    { ratio: 1.6, alpha: 2.88 },
+    { ratio: 1.7, alpha: 2.92 },
+    { ratio: 1.8, alpha: 2.96 },
+    { ratio: 1.9, alpha: 3.00 },
+    { ratio: 2.0, alpha: 3.00 },
+];
+
+// DECK SLAB DESIGN (IRC 112:2011 limit state, IRC 21:2000 effective width method) - solid slab per metre width
+// Dead, wearing coat and silt as UDLs; each live load class on the effective span dispersed over the effective
+// width of its wheel lines; main and distribution steel, shear without shear reinforcement, crack width and span/depth
+function calculateStructuralAnalysis(structuralParams, materialProps, loadAnalysis) {
+    const p = structuralParams;
+    const slab = p.deckSlab;
+    const factors = slab.partialFactors;
+    const fck = materialProps.concreteGradeVRCC; // N/mm²
+    const fy = materialProps.steelGrade; // N/mm²
+    const cover = materialProps.coverToReinforcement; // mm
+    const Es = 200000; // N/mm²
+    const round = value => Math.round(value * 100) / 100;
+    
+    const thickness = p.deckSlabThickness * 1000; // mm
+    const d = thickness - cover - slab.mainBarDiameter / 2; // mm
+    const distributionDepth = d - slab.mainBarDiameter / 2 - slab.distributionBarDiameter / 2; // mm
+    if (!(d > 0) || !(distributionDepth > 0)) {
+        throw new Error(`Deck slab of ${thickness} mm leaves no effective depth after ${cover} mm cover`);
+    }
     
-    const totalFoundationArea = length * footingLevels.strip.width;
-    const totalFoundationLoad = loadAnalysis.totalVertical;
-    const foundationPressure = totalFoundationLoad / totalFoundationArea;
-    const allowablePressure = materialProps.safeBearingCapacity * 1000; // Convert to KN/m²
-    
-    // Eccentricity calculations for each level
-    const eccentricityChecks = {
-        first: calculateFootingEccentricity(footingLevels.first, loadAnalysis),
-        second: calculateFootingEccentricity(footingLevels.second, loadAnalysis),
-        third: calculateFootingEccentricity(footingLevels.third, loadAnalysis),
-        strip: calculateFootingEccentricity(footingLevels.strip, loadAnalysis),
+    // Effective span: clear span plus effective depth, not more than the distance between centres of the seats
+    const seatCentres = p.clearRightSpan + (p.deckSlabLength - p.clearRightSpan) / 2;
+    const span = Math.min(p.clearRightSpan + d / 1000, seatCentres);
+    
+    // Shear is checked at the seat; the share of a load within 2d of it may be multiplied by β = av / 2d,
+    // with av not less than 0.5d (IRC 112:2011, clause 10.3.2(6))
+    const beta = a => Math.min(Math.max(a, 0.5 * d / 1000) / (2 * d / 1000), 1);
+    const seatShear = (loads, reduced) => loads.reduce((sum, { load, a }) => sum + load * (1 - a / span) * (reduced ? beta(a) : 1), 0);
+    
+    // Dead loads per metre width: moment at mid span, shear at the seat taking the load in strips along the span
+    const udl = {
+        dead: p.deckSlabThickness * materialProps.unitWeightRCC,
+        superimposed: p.wearingCoatThickness * materialProps.unitWeightRCC,
+        silt: loadAnalysis.siltLoad.intensity,
     };
+    const udlMoment = w => w * Math.pow(span, 2) / 8;
+    const udlShear = (w, reduced = true) => seatShear(Array.from({ length: 100 }, (_, i) => ({ load: w * span / 100, a: (i + 0.5) * span / 100 })), reduced);
     
-    return {
-        foundationPressure: Math.round(foundationPressure * 100) / 100,
-        allowablePressure: Math.round(allowablePressure * 100) / 100,
-        safetyFactor: Math.round((allowablePressure / foundationPressure) * 100) / 100,
-        eccentricityChecks: eccentricityChecks,
-        isSafe: foundationPressure < allowablePressure,
-        footingSystem: footingLevels,
+    // Live load: α × a × (1 − a / L0) + b1 for each wheel line plus the gauge, within the width each vehicle occupies
+    const widthRatio = p.carriageWayWidth / span;
+    const upper = EFFECTIVE_WIDTH_ALPHA.findIndex(row => row.ratio >= widthRatio);
+    const alpha = upper === 0 ? EFFECTIVE_WIDTH_ALPHA[0].alpha
+        : upper === -1 ? EFFECTIVE_WIDTH_ALPHA[EFFECTIVE_WIDTH_ALPHA.length - 1].alpha
+        : EFFECTIVE_WIDTH_ALPHA[upper - 1].alpha + (EFFECTIVE_WIDTH_ALPHA[upper].alpha - EFFECTIVE_WIDTH_ALPHA[upper - 1].alpha)
+            * (widthRatio - EFFECTIVE_WIDTH_ALPHA[upper - 1].ratio) / (EFFECTIVE_WIDTH_ALPHA[upper].ratio - EFFECTIVE_WIDTH_ALPHA[upper - 1].ratio);
+    const liveLoads = loadAnalysis.liveLoadAnalysis.classes.map(result => {
+        const vehicle = IRC_LIVE_LOAD_VEHICLES[result.key];
+        const impact = 1 + result.impactFactor;
+        if (vehicle.udl) {
+            return { key: result.key, name: result.name, momentWidth: null, moment: udlMoment(vehicle.udl), shear: udlShear(vehicle.udl), fullShear: udlShear(vehicle.udl, false) };
+        }
+        const train = getVehicleLoadTrain(vehicle);
+        const effects = analyzeMovingLoad(train, [span]);
+        const contactWidth = vehicle.contactWidth + 2 * p.wearingCoatThickness; // b1, dispersed through the wearing coat
+        const effectiveWidth = a => Math.min(alpha * a * (1 - a / span) + contactWidth + vehicle.gauge, p.carriageWayWidth / result.vehicles);
+        const momentWidth = effectiveWidth(span / 2);
+        // Train driven onto the span from the seat either way round, each wheel spread over the width at its own position
+        const trainLength = Math.max(...train.map(axle => axle.offset));
+        let shear = 0;
+        let fullShear = 0;
+        [train, train.map(axle => ({ ...axle, offset: trainLength - axle.offset }))].forEach(axles => {
+            for (let lead = 0; lead <= span + trainLength + 1e-9; lead += 0.05) {
+                const loads = axles
+                    .map(axle => ({ a: lead - axle.offset, load: axle.load * impact }))
+                    .filter(axle => axle.a >= 0 && axle.a <= span)
+                    .map(axle => ({ ...axle, load: axle.load / effectiveWidth(axle.a) }));
+                shear = Math.max(shear, seatShear(loads, true));
+                fullShear = Math.max(fullShear, seatShear(loads, false));
+            }
+        });
+        return {
+            key: result.key,
+            name: result.name,
+            momentWidth: round(momentWidth),
+            moment: effects.maxMoment * impact / momentWidth,
+            shear: shear,
+            fullShear: fullShear,
+        };
+    });
+    const liveLoad = liveLoads.reduce((max, result) => result.moment > max.moment ? result : max);
+    const liveShear = Math.max(...liveLoads.map(result => result.shear));
+    const liveFullShear = Math.max(...liveLoads.map(result => result.fullShear));
+    
+    const moments = {
+        dead: udlMoment(udl.dead),
+        superimposed: udlMoment(udl.superimposed),
+        silt: udlMoment(udl.silt),
+        live: liveLoad.moment,
     };
-}
-
-function calculateFootingEccentricity(footing, loadAnalysis) {
-    // Simplified eccentricity calculation
-    const leverArm = 0.65; // From stability calculations
-    const eccentricity = (footing.width / 2) - leverArm;
-    const maxStress = (loadAnalysis.totalVertical / (footing.width * 6)) * (1 + (6 * eccentricity / footing.width));
+    const shears = {
+        dead: udlShear(udl.dead),
+        superimposed: udlShear(udl.superimposed),
+        silt: udlShear(udl.silt),
+        live: liveShear,
+    };
+    const ultimate = values => factors.dead * values.dead + factors.superimposed * values.superimposed + factors.live * (values.silt + values.live);
+    const ultimateMoment = ultimate(moments); // KN-m per m
+    const ultimateShear = ultimate(shears); // KN per m, with β
+    // Without β for the strut crushing limit
+    const ultimateFullShear = ultimate({ dead: udlShear(udl.dead, false), superimposed: udlShear(udl.superimposed, false), silt: udlShear(udl.silt, false), live: liveFullShear });
+    // Quasi-permanent moment for crack width: the silt stays on the deck until cleared, traffic is transient (ψ2 = 0)
+    const quasiPermanentMoment = moments.dead + moments.superimposed + moments.silt;
     
-    return {
-        eccentricity: Math.round(eccentricity * 1000) / 1000,
-        maxStress: Math.round(maxStress * 100) / 100,
-        isWithinLimit: Math.abs(eccentricity) < (footing.width / 6),
+    // Required depth for a singly reinforced section, xu,max / d from the strain limits
+    const xuRatio = 0.0035 / (0.0055 + 0.87 * fy / Es);
+    const limitingFactor = 0.36 * fck * xuRatio * (1 - 0.416 * xuRatio); // Mu,lim / bd²
+    const requiredDepth = Math.sqrt(ultimateMoment * 1e6 / (limitingFactor * 1000)); // mm
+    
+    // Tension steel from Mu = 0.87 fy Ast d (1 − Ast fy / (b d fck)); null once the section needs compression steel
+    const fctm = 0.259 * Math.pow(fck, 2 / 3); // N/mm²
+    const minimumRatio = Math.max(0.26 * fctm / fy, 0.0013);
+    const steel = (moment, depth, diameter, maxSpacing) => {
+        const term = 1 - 4.6 * moment * 1e6 / (fck * 1000 * Math.pow(depth, 2));
+        const required = term >= 0 ? 0.5 * fck / fy * (1 - Math.sqrt(term)) * 1000 * depth : null; // mm² per m
+        const minimum = minimumRatio * 1000 * depth;
+        const design = required === null ? null : Math.max(required, minimum);
+        const barArea = Math.PI * Math.pow(diameter, 2) / 4;
+        const spacing = design === null ? null : Math.min(Math.floor(1000 * barArea / design / 10) * 10, maxSpacing);
+        // Clear distance between bars not less than the bar size, aggregate size + 5 mm or 20 mm (IRC 112:2011, clause 16.5.3)
+        const minimumSpacing = diameter + Math.max(diameter, slab.aggregateSize + 5, 20);
+        return {
+            diameter: diameter,
+            moment: round(moment),
+            effectiveDepth: round(depth),
+            required: required === null ? null : Math.round(required),
+            minimum: Math.round(minimum),
+            spacing: spacing,
+            provided: spacing ? Math.round(1000 * barArea / spacing) : null,
+            minimumSpacing: minimumSpacing,
+            designation: spacing ? `${diameter} mm @ ${spacing} mm c/c` : 'Section inadequate',
+            isSafe: spacing !== null && spacing >= minimumSpacing,
+        };
     };
-}
-
-// STRUCTURAL ANALYSIS WITH IRC STANDARDS
-function calculateStructuralAnalysis(structuralParams, loadAnalysis, length, width, height) {
-    // Bending moment calculations (simply supported beam)
-    const distributedLoad = loadAnalysis.totalVertical / (length * width); // KN/m²
-    const maxBendingMoment = (distributedLoad * Math.pow(length, 2)) / 8; // For simply supported
+    const mainSteel = steel(ultimateMoment, d, slab.mainBarDiameter, Math.min(2 * thickness, 250));
+    // Distribution steel for 0.3 × live load moment plus 0.2 × dead load moment (IRC 21:2000, clause 305.18)
+    const distributionMoment = 0.3 * factors.live * (moments.live + moments.silt) + 0.2 * (factors.dead * moments.dead + factors.superimposed * moments.superimposed);
+    const distributionSteel = steel(distributionMoment, distributionDepth, slab.distributionBarDiameter, Math.min(3 * thickness, 400));
+    
+    // Shear resistance without shear reinforcement (IRC 112:2011, clause 10.3.2), all main bars carried into the seat
+    const k = Math.min(1 + Math.sqrt(200 / d), 2.0);
+    const rho = Math.min((mainSteel.provided || 0) / (1000 * d), 0.02);
+    const shearStress = Math.max(0.12 * k * Math.pow(80 * rho * fck, 0.33), 0.031 * Math.pow(k, 1.5) * Math.sqrt(fck)); // N/mm²
+    const shearResistance = shearStress * 1000 * d / 1000; // KN per m
+    // Crushing of the struts, VEd without β ≤ 0.5 b d ν fcd (IRC 112:2011, clause 10.3.2(5))
+    const nu = 0.6 * (1 - fck / 310);
+    const fcd = 0.67 * fck / 1.5; // N/mm²
+    const crushingLimit = 0.5 * 1000 * d * nu * fcd / 1000; // KN per m
+    // Beyond VRd,c, vertical links at cot θ = 2.5 in slabs at least 200 mm thick (IRC 112:2011, clauses 10.3.3.2 and 16.6.1)
+    const cotTheta = 2.5;
+    const z = 0.9 * d; // mm
+    const fywd = 0.8 * fy / 1.15; // N/mm²
+    const needsLinks = ultimateShear > shearResistance;
+    const linkResistance = 1000 * z * nu * fcd / (cotTheta + 1 / cotTheta) / 1000; // VRd,max, KN per m
+    const links = needsLinks ? {
+        required: Math.round(ultimateShear * 1000 / (z * fywd * cotTheta) * 1000), // Asw / s, mm² per m² of slab
+        minimum: Math.round(0.072 * Math.sqrt(fck) / fy * 1e6), // ρw,min × b × s, mm² per m²
+        maximumResistance: round(linkResistance),
+    } : null;
     
-    // Deflection calculations
-    const elasticModulus = 25000; // N/mm² for M25 concrete
-    const momentOfInertia = (width * Math.pow(height, 3)) / 12; // mm⁴
-    const maxDeflection = (5 * distributedLoad * Math.pow(length, 4)) / (384 * elasticModulus * momentOfInertia);
+    // Crack width under the quasi-permanent moment (IRC 112:2011, clause 12.3.4), cracked elastic section
+    let crackWidth = null;
+    let steelStress = null;
+    if (mainSteel.provided) {
+        const Ecm = 22000 * Math.pow((fck + 8) / 10, 0.3); // N/mm²
+        const modularRatio = Es / Ecm;
+        const As = mainSteel.provided;
+        const x = (-modularRatio * As + Math.sqrt(Math.pow(modularRatio * As, 2) + 2 * 1000 * modularRatio * As * d)) / 1000;
+        steelStress = quasiPermanentMoment * 1e6 / (As * (d - x / 3));
+        const effectiveHeight = Math.min(2.5 * (thickness - d), (thickness - x) / 3, thickness / 2);
+        const rhoEffective = As / (1000 * effectiveHeight);
+        const strain = Math.max((steelStress - 0.5 * fctm / rhoEffective * (1 + modularRatio * rhoEffective)) / Es, 0.6 * steelStress / Es);
+        const crackSpacing = 3.4 * cover + 0.425 * 0.8 * 0.5 * slab.mainBarDiameter / rhoEffective; // mm
+        crackWidth = crackSpacing * strain;
+    }
     
-    // Allowable limits
-    const allowableDeflection = length / 250; // L/250 limit
-    const allowableBendingMoment = calculateAllowableMoment(structuralParams, width, height);
+    // Deflection by the span to effective depth ratio (IRC 112:2011, clause 12.4.1)
+    const spanDepthRatio = span * 1000 / d;
     
-    return {
-        maxBendingMoment: Math.round(maxBendingMoment * 100) / 100,
-        allowableBendingMoment: Math.round(allowableBendingMoment * 100) / 100,
-        maxDeflection: Math.round(maxDeflection * 100) / 100,
-        allowableDeflection: Math.round(allowableDeflection * 100) / 100,
-        bendingStress: Math.round((maxBendingMoment * 1000000 * height/2) / momentOfInertia * 100) / 100,
-        isSafe: maxBendingMoment < allowableBendingMoment && maxDeflection < allowableDeflection,
+    const checks = {
+        depth: requiredDepth <= d,
+        mainSteel: mainSteel.isSafe,
+        distributionSteel: distributionSteel.isSafe,
+        shear: ultimateFullShear <= crushingLimit
+            && (!needsLinks || (thickness >= 200 && ultimateShear <= linkResistance)),
+        crackWidth: crackWidth !== null && crackWidth <= slab.crackWidthLimit,
+        deflection: spanDepthRatio <= slab.spanDepthLimit,
     };
-}
-
-function calculateAllowableMoment(structuralParams, width, height) {
-    // Allowable moment based on concrete strength
-    const fck = 25; // N/mm² (M25 concrete)
-    const allowableStress = 0.45 * fck; // Allowable compressive stress
-    const momentOfInertia = (width * 1000 * Math.pow(height * 1000, 3)) / 12; // mm⁴
-    const sectionModulus = momentOfInertia / (height * 1000 / 2); // mm³
+    const roundAll = values => Object.fromEntries(Object.entries(values).map(([key, value]) => [key, round(value)]));
     
-    return (allowableStress * sectionModulus) / 1000000; // Convert to KN-m
+    return {
+        clearSpan: p.clearRightSpan,
+        effectiveSpan: round(span),
+        thickness: thickness,
+        effectiveDepth: round(d),
+        loads: roundAll(udl), // KN/m² per m width
+        liveLoad: {
+            alpha: round(alpha),
+            governing: liveLoad.name,
+            classes: liveLoads.map(result => ({ ...result, moment: round(result.moment), shear: round(result.shear), fullShear: round(result.fullShear) })),
+        },
+        moments: { ...roundAll(moments), ultimate: round(ultimateMoment), quasiPermanent: round(quasiPermanentMoment) }, // KN-m per m
+        shears: { ...roundAll(shears), ultimate: round(ultimateShear), ultimateWithoutBeta: round(ultimateFullShear) }, // KN per m at the seat
+        requiredDepth: round(requiredDepth),
+        requiredThickness: round(requiredDepth + cover + slab.mainBarDiameter / 2),
+        mainSteel: mainSteel,
+        distributionSteel: distributionSteel,
+        shear: {
+            demand: round(ultimateShear),
+            resistance: round(shearResistance),
+            stress: Math.round(shearStress * 1000) / 1000,
+            crushingDemand: round(ultimateFullShear),
+            crushingLimit: round(crushingLimit),
+            links: links && { ...links, provided: Math.max(links.required, links.minimum) },
+            isSafe: checks.shear,
+        },
+        crackWidth: {
+            steelStress: steelStress === null ? null : round(steelStress),
+            width: crackWidth === null ? null : Math.round(crackWidth * 1000) / 1000,
+            limit: slab.crackWidthLimit,
+            isSafe: checks.crackWidth,
+        },
+        deflection: { spanDepthRatio: round(spanDepthRatio), limit: slab.spanDepthLimit, isSafe: checks.deflection },
+        checks: checks,
+        isSafe: Object.values(checks).every(check => check),
+    };
 }
 
 // COMPREHENSIVE SAFETY CHECKS
-function performComprehensiveSafetyChecks(foundationResults, structuralResults, earthPressureResults, safetyFactor) {
+function performComprehensiveSafetyChecks(foundationResults, structuralResults, earthPressureResults, safetyFactor, hydraulicResults, loadAnalysis) {
     const checks = {
+        // Bearing, no tension and stability under each strip footing, with the requested reserve on the permissible pressure
         foundation: foundationResults.isSafe && foundationResults.safetyFactor >= safetyFactor,
-        ventway: true, // 39.40% > 30% requirement (from hydraulic calculations)
-        scour: true, // Scour protection measures included
-        deflection: structuralResults.isSafe,
+        ventway: hydraulicResults.ventway.isAdequate, // obstruction ≤ 70% at RTL and ≤ 30% at HFL
+        scour: hydraulicResults.scour.isFoundationSafe, // BFL below maximum scour level with margin
+        deflection: structuralResults.deflection.isSafe, // span / effective depth of the deck slab
+        deckSlab: structuralResults.isSafe, // limit state design of the deck slab
+        footingStresses: foundationResults.tierStresses.isSafe, // biaxial stresses within permissible limits at every tier
+        deckAnchorage: loadAnalysis.deckHydrodynamics.isSafe, // anchor bars and thrust blocks against lift and drag
         earthPressure: earthPressureResults.isStable,
-        bearing: foundationResults.foundationPressure < foundationResults.allowablePressure,
+        bearing: foundationResults.bearingSafe, // soil pressure within 1.5 × SBC under the RCC strip footings
         stability: earthPressureResults.safetyFactorSliding > 1.25 && earthPressureResults.safetyFactorOverturning > 1.5,
     };
     
@@ -538,7 +3602,12 @@ function performComprehensiveSafetyChecks(foundationResults, structuralResults,
             foundationSafetyFactor: foundationResults.safetyFactor,
             slidingSafetyFactor: earthPressureResults.safetyFactorSliding,
             overturningeSafetyFactor: earthPressureResults.safetyFactorOverturning,
-            deflectionRatio: structuralResults.maxDeflection / structuralResults.allowableDeflection,
+            deflectionRatio: structuralResults.deflection.spanDepthRatio / structuralResults.deflection.limit,
+            obstructionAtRTL: hydraulicResults.ventway.obstructionAtRTL,
+            obstructionAtHFL: hydraulicResults.ventway.obstructionAtHFL,
+            maximumScourLevel: hydraulicResults.scour.maximumScourLevel,
+            anchorBarUtilisation: loadAnalysis.deckHydrodynamics.anchorBars.utilisation,
+            thrustBlockUtilisation: loadAnalysis.deckHydrodynamics.thrustBlocks.utilisation,
         }
     };
 }
@@ -547,11 +3616,27 @@ function performComprehensiveSafetyChecks(foundationResults, structuralResults,
 function generateComputationTrace(hydraulicResults, engineeringResults, structuralResults) {
     return [
         // Hydraulic Calculations Category
+        {
+            category: "Hydraulic Design",
+            name: "Flow Area",
+            formula: "A = Σ ((d₁ + d₂) / 2 × Δx)",
+            substituted: `A = Σ of ${hydraulicResults.crossSectionTable.length - 1} surveyed strips below HFL`,
+            result: `${hydraulicResults.flowArea} m²`,
+            reference: "Cross-section survey, hydraulic_design.txt"
+        },
+        {
+            category: "Hydraulic Design",
+            name: "Wetted Perimeter",
+            formula: "P = Σ √(Δx² + Δd²)",
+            substituted: `P = Σ of ${hydraulicResults.crossSectionTable.filter(row => row.wettedPerimeter > 0).length} wetted strips`,
+            result: `${hydraulicResults.wettedPerimeter} m`,
+            reference: "Cross-section survey, hydraulic_design.txt"
+        },
         {
             category: "Hydraulic Design",
             name: "Hydraulic Radius",
             formula: "R = A / P",
-            substituted: "R = 11.74 / 10.99",
+            substituted: `R = ${hydraulicResults.flowArea} / ${hydraulicResults.wettedPerimeter}`,
             result: `${hydraulicResults.hydraulicRadius} m`,
             reference: "Manning's equation, IRC SP 13"
         },
@@ -559,81 +3644,536 @@ function generateComputationTrace(hydraulicResults, engineeringResults, structur
             category: "Hydraulic Design",
             name: "Flow Velocity",
             formula: "V = (1/n) × R^(2/3) × S^(1/2)",
-            substituted: "V = (1/0.050) × (1.07)^(2/3) × (0.0152)^(1/2)",
+            substituted: `V = (1/${hydraulicResults.rugosityCoeff}) × (${hydraulicResults.hydraulicRadius})^(2/3) × (${hydraulicResults.bedSlope})^(1/2)`,
             result: `${hydraulicResults.velocity} m/sec`,
             reference: "Manning's formula, IRC SP 13"
         },
+        ...hydraulicResults.sections.map(section => ({
+            category: "Hydraulic Design",
+            name: `Area-Velocity Discharge (${section.name})`,
+            formula: "Q = A × (1/n) × R^(2/3) × S^(1/2)",
+            substituted: `Q = ${section.flowArea} × (1/${section.rugosityCoeff}) × (${section.hydraulicRadius})^(2/3) × (${section.bedSlope})^(1/2)`,
+            result: `${section.discharge} m³/sec`,
+            reference: "Area-velocity method, IRC SP 13"
+        })),
+        {
+            category: "Hydraulic Design",
+            name: "Governing Section Discharge",
+            formula: "Q = max(Q_sections)",
+            substituted: `Q = max(${hydraulicResults.sections.map(section => section.discharge).join(', ')})`,
+            result: `${hydraulicResults.manningDischarge} m³/sec (${hydraulicResults.governingSection})`,
+            reference: hydraulicResults.governingReason
+        },
+        {
+            category: "Hydraulic Design",
+            name: "Surplus Weir Discharge",
+            formula: "Q = C × L × H^(3/2)",
+            substituted: hydraulicResults.surplusWeir
+                ? `Q = ${hydraulicResults.surplusWeir.coefficient} × ${hydraulicResults.surplusWeir.crestLength} × (${hydraulicResults.surplusWeir.headOverCrest})^(3/2)`
+                : 'No surplus weir upstream',
+            result: `${hydraulicResults.weirDischarge} m³/sec`,
+            reference: "Broad-crested weir formula, design philosophy Step 1"
+        },
+        ...hydraulicResults.catchmentDischarges.map(result => ({
+            category: "Hydraulic Design",
+            name: `Catchment Discharge (${result.name})`,
+            formula: result.formula,
+            substituted: result.substituted,
+            result: `${result.discharge} m³/sec`,
+            reference: result.name === hydraulicResults.catchmentMethod ? "Catchment area method (selected)" : "Catchment area method (comparison)"
+        })),
         {
             category: "Hydraulic Design",
             name: "Design Discharge",
-            formula: "Q = A × V",
-            substituted: "Q = 11.74 × 2.58",
+            formula: "Q = max(Q_area-velocity, Q_catchment) + Q_weir",
+            substituted: `Q = max(${hydraulicResults.manningDischarge}, ${hydraulicResults.catchmentDischarge}) + ${hydraulicResults.weirDischarge}`,
             result: `${hydraulicResults.designDischarge} m³/sec`,
-            reference: "Area-velocity method"
+            reference: `${hydraulicResults.designDischargeMethod} governs`
+        },
+        
+        {
+            category: "Hydraulic Design",
+            name: "Vented Area",
+            formula: "a = Σ L × (soffit − vent floor) + n × πD²/4",
+            substituted: `a = ${hydraulicResults.ventway.spanVentArea} + ${hydraulicResults.ventway.pipeVentArea}`,
+            result: `${hydraulicResults.ventway.ventedArea} m²`,
+            reference: "IRC SP:82-2008, clause 5.1.3"
+        },
+        {
+            category: "Hydraulic Design",
+            name: "Obstruction at RTL",
+            formula: "100 − a / A_RTL × 100 ≤ 70%",
+            substituted: `100 − ${hydraulicResults.ventway.ventedArea} / ${hydraulicResults.ventway.unobstructedAreaRTL} × 100`,
+            result: `${hydraulicResults.ventway.obstructionAtRTL}% ${hydraulicResults.ventway.obstructionAtRTL <= 70 ? '≤' : '>'} 70%`,
+            reference: "IRC SP:82-2008, clause 5.1.3(ii)a"
+        },
+        {
+            category: "Hydraulic Design",
+            name: "Obstruction at HFL",
+            formula: "(1 − (a + A_over RTL) / A_HFL) × 100 ≤ 30%",
+            substituted: `(1 − ${hydraulicResults.ventway.areaAvailableAtHFL} / ${hydraulicResults.ventway.unobstructedAreaHFL}) × 100`,
+            result: `${hydraulicResults.ventway.obstructionAtHFL}% ${hydraulicResults.ventway.obstructionAtHFL <= 30 ? '≤' : '>'} 30%`,
+            reference: "IRC SP:82-2008, clause 5.1.3(ii)a"
         },
+        {
+            category: "Hydraulic Design",
+            name: `Afflux (${hydraulicResults.affluxDetails.method === 'molesworth' ? 'Molesworth' : 'Orifice formula'})`,
+            formula: hydraulicResults.affluxDetails.method === 'molesworth'
+                ? "h = (V²/17.85 + 0.0152) × (A²/a² − 1)"
+                : "Q = Co × √(2g) × L × Dd × [h + (1+e) × u²/2g]^(1/2)",
+            substituted: hydraulicResults.affluxDetails.substituted,
+            result: `${hydraulicResults.afflux} m (upstream WL ${hydraulicResults.affluxDetails.upstreamWaterLevel} m)`,
+            reference: hydraulicResults.affluxDetails.warning || "IRC SP:13-2004, afflux calculations"
+        },
+        {
+            category: "Hydraulic Design",
+            name: "Normal Scour Depth",
+            formula: hydraulicResults.scour.dischargeIntensity === null ? "D = 0.473 × (Q/f)^(1/3)" : "D = 1.34 × (q²/f)^(1/3)",
+            substituted: hydraulicResults.scour.dischargeIntensity === null
+                ? `D = 0.473 × (${hydraulicResults.scour.foundationDischarge}/${hydraulicResults.scour.siltFactor})^(1/3)`
+                : `D = 1.34 × (${hydraulicResults.scour.dischargeIntensity}²/${hydraulicResults.scour.siltFactor})^(1/3)`,
+            result: `${hydraulicResults.scour.normalScourDepth} m below HFL`,
+            reference: "Lacey's regime theory, IRC:5 / IRC:78"
+        },
+        ...[['Abutment', hydraulicResults.scour.abutment], ['Pier', hydraulicResults.scour.pier]].flatMap(([support, check]) => [
+            {
+                category: "Hydraulic Design",
+                name: `Maximum Scour Depth (${support})`,
+                formula: "Dmax = max(support, bend factor) × D",
+                substituted: `Dmax = ${check.factor} × ${hydraulicResults.scour.normalScourDepth}`,
+                result: `${check.scourDepth} m (level ${check.scourLevel} m)`,
+                reference: "hydraulic_design.txt; IRC:5, clause 110.1.4.2"
+            },
+            {
+                category: "Hydraulic Design",
+                name: `Foundation Level Check (${support})`,
+                formula: "BFL ≤ HFL − Dmax − max(1.2, Dmax/3)",
+                substituted: `${check.foundationLevel} ≤ ${check.scourLevel} − ${check.requiredMargin}`,
+                result: check.isSafe ? 'OK' : 'NOT OK',
+                reference: "hydraulic_design.txt, depth of foundation"
+            },
+        ]),
         
         // Load Analysis Category
         {
             category: "Load Analysis",
             name: "Dead Load",
             formula: "DL = Σ(Component weights)",
-            substituted: "DL = 244.80 + 55.50 + 38.25 + 155.52 + ...",
+            substituted: `DL = ${engineeringResults.loads.deadLoadComponents.map(component => component.load.toFixed(2)).join(' + ')}`,
             result: `${engineeringResults.loads.deadLoad} KN`,
             reference: "IRC 6:2000, self weight calculations"
         },
+        ...engineeringResults.loads.liveLoadAnalysis.classes.flatMap(result => [
+            {
+                category: "Load Analysis",
+                name: `Live Load Reaction (${result.name})`,
+                formula: "R = max Σ P × (L − x) / L",
+                substituted: `${result.vehicles} × vehicle on L = ${engineeringResults.loads.liveLoadAnalysis.span} m, lead axle at ${result.maxReactionPosition} m`,
+                result: `${result.maxReaction} KN`,
+                reference: "IRC 6:2000, clause 207"
+            },
+            {
+                category: "Load Analysis",
+                name: `Live Load Moment (${result.name})`,
+                formula: "M = max(R_A × x − Σ P × (x − xᵢ))",
+                substituted: `Critical load at x = ${result.maxMomentPosition} m`,
+                result: `${result.maxMoment} KN-m`,
+                reference: "IRC 6:2000, clause 207"
+            },
+            {
+                category: "Load Analysis",
+                name: `Impact Factor (${result.name})`,
+                formula: result.key === 'classA' ? "I = 4.5 / (6 + L)" : "I per IRC 6:2000 clause 211.3",
+                substituted: `L = ${engineeringResults.loads.liveLoadAnalysis.span} m`,
+                result: `${result.impactFactor} (R = ${result.reactionWithImpact} KN, M = ${result.momentWithImpact} KN-m)`,
+                reference: "IRC 6:2000, Clause 211"
+            },
+        ]),
+        {
+            category: "Load Analysis",
+            name: "Governing Live Load",
+            formula: "max(R × (1 + I))",
+            substituted: engineeringResults.loads.liveLoadAnalysis.classes.map(result => `${result.name}: ${result.reactionWithImpact}`).join(', '),
+            result: `${engineeringResults.loads.liveLoadAnalysis.governing.name} (${engineeringResults.loads.liveLoad} KN on span)`,
+            reference: "IRC 6:2000, clause 207"
+        },
+        {
+            category: "Load Analysis",
+            name: "Wind Load",
+            formula: "F = Pz × A × G × CD, Pz = Pz(33) × (Vb / 33)², FL = 0.25 × FT",
+            substituted: `Vb = ${engineeringResults.loads.windLoads.basicWindSpeed} m/sec, H = ${engineeringResults.loads.windLoads.exposureHeight} m (${engineeringResults.loads.windLoads.terrain}), Pz = ${engineeringResults.loads.windLoads.pressure} KN/m², deck A = ${engineeringResults.loads.windLoads.deck.area} m², live load A = ${engineeringResults.loads.windLoads.liveLoad.area} m²`,
+            result: `Deck: FT = ${engineeringResults.loads.windLoads.deck.transverse} KN, FL = ${engineeringResults.loads.windLoads.deck.longitudinal} KN; live load: FT = ${engineeringResults.loads.windLoads.liveLoad.transverse} KN, FL = ${engineeringResults.loads.windLoads.liveLoad.longitudinal} KN`,
+            reference: "IRC 6, clause 209"
+        },
+        {
+            category: "Load Analysis",
+            name: "Silt on Deck",
+            formula: "Ws = t × γs × L × B",
+            substituted: `t = ${engineeringResults.loads.silt.depth} m, γs = ${engineeringResults.loads.silt.density} KN/m³, L × B = ${engineeringResults.loads.silt.area} m²`,
+            result: `${engineeringResults.loads.silt.load} KN per span (${engineeringResults.loads.silt.intensity} KN/m²), in the canal full envelopes`,
+            reference: "IRC SP:82-2008, clause 7.11.3.4"
+        },
+        {
+            category: "Load Analysis",
+            name: "Braking Force",
+            formula: "Fh = 0.2 × train load on span + 0.05 × trains beyond two lanes, shared by bearing type",
+            substituted: `train load = ${engineeringResults.loads.longitudinalForces.braking.trainLoad} KN, additional trains = ${engineeringResults.loads.longitudinalForces.braking.additionalTrains}, bearings: ${engineeringResults.loads.longitudinalForces.bearingType}`,
+            result: `Fh = ${engineeringResults.loads.longitudinalForces.braking.force} KN; abutment ${engineeringResults.loads.longitudinalForces.braking.abutment} KN, pier ${engineeringResults.loads.longitudinalForces.braking.pier} KN at ${engineeringResults.loads.longitudinalForces.braking.leverArm} m`,
+            reference: "IRC 6:2000, clauses 214.2 and 214.5"
+        },
+        {
+            category: "Load Analysis",
+            name: "Temperature and Shrinkage",
+            formula: "Δ = (α × ΔT + εsh) × L, force through the bearings (μ Rg on the seat with no bearings)",
+            substituted: `${engineeringResults.loads.longitudinalForces.temperature.minimum} to ${engineeringResults.loads.longitudinalForces.temperature.maximum} °C about ${engineeringResults.loads.longitudinalForces.temperature.mean} °C`,
+            result: `expansion ${engineeringResults.loads.longitudinalForces.temperature.expansion} mm, contraction ${engineeringResults.loads.longitudinalForces.temperature.contraction} mm; ${engineeringResults.loads.longitudinalForces.temperature.abutment} KN on abutment`,
+            reference: "IRC 6:2000, clause 218"
+        },
+        ...(engineeringResults.loads.seismic ? [
+            {
+                category: "Load Analysis",
+                name: `Seismic Coefficients (Zone ${engineeringResults.loads.seismic.zone})`,
+                formula: "Ah = (Z / 2) × (Sa / g) × (I / R), Av = 2/3 × Ah (Zones IV and V)",
+                substituted: `Z = ${engineeringResults.loads.seismic.zoneFactor}, Sa/g = ${engineeringResults.loads.seismic.spectralAcceleration}, I = ${engineeringResults.loads.seismic.importanceFactor}, R = ${engineeringResults.loads.seismic.responseReduction}`,
+                result: `Ah = ${engineeringResults.loads.seismic.alphaH}, Av = ${engineeringResults.loads.seismic.alphaV}`,
+                reference: "IRC 6, clause 219"
+            },
+            {
+                category: "Load Analysis",
+                name: "Seismic Force on Super Structure",
+                formula: "F = Ah × W, live load participation across traffic only",
+                substituted: `W = ${engineeringResults.loads.seismic.superstructure.weight} KN, ${engineeringResults.loads.seismic.liveLoadParticipation * 100}% live load = ${engineeringResults.loads.seismic.liveLoad.weight} KN`,
+                result: `${engineeringResults.loads.seismic.superstructure.horizontal} KN at ${engineeringResults.loads.seismic.superstructure.leverArm} m, live load ${engineeringResults.loads.seismic.liveLoad.horizontal} KN at ${engineeringResults.loads.seismic.liveLoad.leverArm} m per span`,
+                reference: "IRC 6, clause 219.5"
+            },
+            ...['abutment', 'pier'].map(support => {
+                const bottom = engineeringResults.loads.seismic[support].substructure.slice(-1)[0];
+                return {
+                    category: "Load Analysis",
+                    name: `Seismic Force on ${support === 'abutment' ? 'Abutment' : 'Pier'}`,
+                    formula: "F = Ah × W above the RCC strip footing",
+                    substituted: `W = ${bottom.weight} KN`,
+                    result: `${bottom.horizontal} KN at ${bottom.leverArm} m`,
+                    reference: "IRC 6, clause 219"
+                };
+            }),
+            {
+                category: "Load Analysis",
+                name: "Hydrodynamic Force on Pier",
+                formula: "F = C × Ah × We, We = w × π D² / 4 × H",
+                substituted: `H = ${engineeringResults.loads.seismic.pier.hydrodynamic.submergedHeight} m, D = ${engineeringResults.loads.seismic.pier.hydrodynamic.longitudinal.diameter} / ${engineeringResults.loads.seismic.pier.hydrodynamic.transverse.diameter} m, C = ${engineeringResults.loads.seismic.pier.hydrodynamic.longitudinal.coefficient} / ${engineeringResults.loads.seismic.pier.hydrodynamic.transverse.coefficient}`,
+                result: `${engineeringResults.loads.seismic.pier.hydrodynamic.longitudinal.force} KN along traffic, ${engineeringResults.loads.seismic.pier.hydrodynamic.transverse.force} KN across at ${engineeringResults.loads.seismic.pier.hydrodynamic.leverArm} m`,
+                reference: "IRC 6, clause 219.6"
+            },
+        ] : []),
+        {
+            category: "Load Analysis",
+            name: "Uplift under Deck",
+            formula: "U = w × h × Asp, h = max(afflux, d − (Vv² − V²) / 2g)",
+            substituted: `Vv = ${engineeringResults.loads.buoyancyAnalysis.uplift.ventVelocity} m/sec, head loss = ${engineeringResults.loads.buoyancyAnalysis.uplift.headLoss} m, h = ${engineeringResults.loads.buoyancyAnalysis.uplift.head} m`,
+            result: `${engineeringResults.loads.buoyancyAnalysis.uplift.force} KN per span`,
+            reference: "pile-design.txt, IRC SP:82-2008"
+        },
+        ...['abutment', 'pier'].flatMap(support => ['canalFull', 'canalDry']
+            .map(key => engineeringResults.loads.buoyancyAnalysis[support][key])
+            .filter(condition => condition.waterLevel !== null)
+            .map(condition => ({
+                category: "Load Analysis",
+                name: `Buoyancy on ${support} (${condition.description})`,
+                formula: "B = k × w × Σ V_submerged",
+                substituted: `WL = ${condition.waterLevel} m, k = ${condition.factor}: ${condition.items.filter(item => item.submergedVolume > 0).map(item => `${item.component} ${item.submergedVolume} m³`).join(', ') || 'no part submerged'}`,
+                result: `${condition.total} KN above strip footing, ${condition.stripFooting} KN on strip footing`,
+                reference: "IRC 6:2000, clause 216.4"
+            }))),
         {
             category: "Load Analysis",
-            name: "Live Load",
-            formula: "LL = IRC Class A loading",
-            substituted: "LL = 296.00 + 22.19 + 160.23",
-            result: `${engineeringResults.loads.liveLoad} KN`,
-            reference: "IRC 6:2000, Class A loading"
+            name: "Drag and Lift on Deck",
+            formula: "FD = ½ρ·CD·V²·(d × L), FL = ½ρ·CL·V²·(L × B), V = √2 × Vmean",
+            substituted: `V = ${engineeringResults.loads.deckHydrodynamics.velocity} m/sec, overtopping ${engineeringResults.loads.deckHydrodynamics.overtoppingDepth} m, CD = ${engineeringResults.loads.deckHydrodynamics.dragCoefficient}, CL = ${engineeringResults.loads.deckHydrodynamics.liftCoefficient}, A = ${engineeringResults.loads.deckHydrodynamics.dragArea} / ${engineeringResults.loads.deckHydrodynamics.liftArea} m²`,
+            result: `FD = ${engineeringResults.loads.deckHydrodynamics.drag} KN at ${engineeringResults.loads.deckHydrodynamics.dragLeverArm} m, FL = ${engineeringResults.loads.deckHydrodynamics.lift} KN`,
+            reference: "IRC SP:82-2008"
         },
         {
             category: "Load Analysis",
-            name: "Impact Factor",
-            formula: "I = 4.5 / (6 + L)",
-            substituted: "I = 4.5 / (6 + L)",
-            result: `${Math.round(engineeringResults.loads.impactFactor * 1000) / 1000}`,
-            reference: "IRC 6:2000, Clause 211"
+            name: "Water Current on Abutment",
+            formula: "P = 52KV² over 1.0 m width, full height up to HFL",
+            substituted: `P = ${engineeringResults.loads.waterPressures.abutmentCurrent.pressure} Kg/m² at HFL, exposed height ${engineeringResults.loads.waterPressures.abutmentCurrent.exposedHeight} m`,
+            result: `${engineeringResults.loads.waterPressures.abutmentCurrent.force} KN at ${engineeringResults.loads.waterPressures.abutmentCurrent.leverArm} m`,
+            reference: "IRC 6:2000, clause 213.2"
+        },
+        {
+            category: "Load Analysis",
+            name: "Friction of Water on Deck and Supports",
+            formula: "p = f × ρ × (C × Vv)², over the wetted deck faces, both faces of the pier and the canal face of the abutment",
+            substituted: `Vv = ${engineeringResults.loads.waterPressures.ventVelocity} m/sec, p = ${engineeringResults.loads.waterPressures.frictionPressure} KN/m², A = ${engineeringResults.loads.waterPressures.deckFriction.area} / ${engineeringResults.loads.waterPressures.pier.friction.area} / ${engineeringResults.loads.waterPressures.abutment.friction.area} m²`,
+            result: `deck ${engineeringResults.loads.waterPressures.deckFriction.force} KN at ${engineeringResults.loads.waterPressures.deckFriction.leverArm} m, pier ${engineeringResults.loads.waterPressures.pier.friction.force} KN at ${engineeringResults.loads.waterPressures.pier.friction.leverArm} m, abutment ${engineeringResults.loads.waterPressures.abutment.friction.force} KN at ${engineeringResults.loads.waterPressures.abutment.friction.leverArm} m`,
+            reference: "IRC SP:82-2008, clause 7.11.2.2"
+        },
+        {
+            category: "Load Analysis",
+            name: "Static Water Pressure",
+            formula: "p = w × z to depth h, w × h below it; h = max(afflux, deck depth); on the upstream end of each support",
+            substituted: `h = ${engineeringResults.loads.waterPressures.staticHead} m, exposed height ${engineeringResults.loads.waterPressures.pier.exposedHeight} m (pier), ${engineeringResults.loads.waterPressures.abutment.exposedHeight} m (abutment)`,
+            result: `pier ${engineeringResults.loads.waterPressures.pier.staticPressure.force} KN at ${engineeringResults.loads.waterPressures.pier.staticPressure.leverArm} m, abutment ${engineeringResults.loads.waterPressures.abutment.staticPressure.force} KN at ${engineeringResults.loads.waterPressures.abutment.staticPressure.leverArm} m`,
+            reference: "IRC SP:82-2008, clause 7.11.2.2(b)"
+        },
+        {
+            category: "Load Analysis",
+            name: "Stainless Steel Anchor Bars",
+            formula: "T = (FL + Uplift − 0.9 × Wdeck) / 2 per support, n = T / (π·φ²/4 × σst)",
+            substituted: `Wdeck = ${engineeringResults.loads.deckHydrodynamics.anchorBars.deckWeight} KN, T = ${engineeringResults.loads.deckHydrodynamics.anchorBars.demandPerSupport} KN, ${engineeringResults.loads.deckHydrodynamics.anchorBars.capacityPerBar} KN per ${engineeringResults.loads.deckHydrodynamics.anchorBars.diameter} mm bar`,
+            result: `${engineeringResults.loads.deckHydrodynamics.anchorBars.required} required, ${engineeringResults.loads.deckHydrodynamics.anchorBars.provided} provided per support (utilisation ${engineeringResults.loads.deckHydrodynamics.anchorBars.utilisation})`,
+            reference: "IRC SP:82-2008"
+        },
+        {
+            category: "Load Analysis",
+            name: "VRCC Thrust Blocks",
+            formula: "FD / 2 per support ≤ n × min(h·l·σcb, l·b·τc)",
+            substituted: `FD / 2 = ${engineeringResults.loads.deckHydrodynamics.thrustBlocks.demandPerSupport} KN, ${engineeringResults.loads.deckHydrodynamics.thrustBlocks.capacityPerBlock} KN per ${engineeringResults.loads.deckHydrodynamics.thrustBlocks.size} m block`,
+            result: `${engineeringResults.loads.deckHydrodynamics.thrustBlocks.required} required, ${engineeringResults.loads.deckHydrodynamics.thrustBlocks.provided} provided per support (utilisation ${engineeringResults.loads.deckHydrodynamics.thrustBlocks.utilisation})`,
+            reference: "IRC SP:82-2008"
         },
         
+        ...Object.entries(engineeringResults.loads.envelopes).flatMap(([support, { envelopes, governing, omittedEnvelopes }]) => [
+            ...envelopes.map(envelope => ({
+                category: "Load Analysis",
+                name: `${envelope.name} (${support})`,
+                formula: "P = Σ γ·Pᵢ, H = Σ γ·Hᵢ, Mx = Σ P·ey + Σ Hy·h, My = Σ P·ex + Σ Hx·h",
+                substituted: `${envelope.description}: ${envelope.cases.map(loadCase => `${loadCase.factor} × ${loadCase.load}`).join(' + ')}`,
+                result: `P = ${envelope.vertical} KN, Hx = ${envelope.horizontalX} KN, Hy = ${envelope.horizontalY} KN, Mx = ${envelope.mx} KN-m, My = ${envelope.my} KN-m`,
+                reference: support === 'pier' ? "pile-design.txt, section IV" : "structural_design_abutment.txt, section IV"
+            })),
+            ...Object.entries(omittedEnvelopes).map(([id, reason]) => ({
+                category: "Load Analysis",
+                name: `Load Envelope-${id} (${support})`,
+                formula: "Not analysed",
+                substituted: reason,
+                result: "Not applicable",
+                reference: "pile-design.txt, section IV"
+            })),
+            {
+                category: "Load Analysis",
+                name: `Governing Load Envelope (${support})`,
+                formula: "max((P/A + |Mx|/Zx + |My|/Zy) / σ permissible) at base of bottom footing, σ permissible increased in seismic envelopes",
+                substituted: envelopes.map(envelope => `${envelope.id}: ${envelope.maxBaseStress} KN/m² (${envelope.utilisation})`).join(', '),
+                result: `Load Envelope-${governing}`,
+                reference: "IRC 78:2000"
+            },
+        ]),
+        
         // Earth Pressure Category
+        ...(() => {
+            const faceWall = engineeringResults.earthPressure;
+            const isRankine = faceWall.theory === 'rankine';
+            const theoryName = isRankine ? "Rankine's theory" : "Coulomb's theory";
+            const entries = [
+                {
+                    category: "Earth Pressure",
+                    name: "Active Earth Pressure Coefficient",
+                    formula: isRankine
+                        ? "Ka = cosβ × [cosβ - √(cos²β - cos²φ)] / [cosβ + √(cos²β - cos²φ)]"
+                        : "Ka = sin²(α+φ) / [sin²α × sin(α-δ) × {1 + √[sin(φ+δ)sin(φ-β) / (sin(α-δ)sin(α+β))]}²]",
+                    substituted: `${theoryName}, β = ${faceWall.slopeBackfill}°`,
+                    result: `${faceWall.Ka}`,
+                    reference: `${theoryName}, face_walls.txt`
+                },
+                {
+                    category: "Earth Pressure",
+                    name: "Passive Earth Pressure Coefficient (Toe)",
+                    formula: isRankine
+                        ? "Kp = (1 + sinφ) / (1 - sinφ)"
+                        : "Kp = sin²(α-φ) / [sin²α × sin(α+δ) × {1 - √[sin(φ+δ)sin(φ+β) / (sin(α+δ)sin(α+β))]}²], α = 90°, β = 0°",
+                    substituted: `${theoryName}, toe embedment = ${faceWall.toeDepth} m`,
+                    result: `Kp = ${faceWall.Kp}, Pp = ${faceWall.passiveResistance} KN/m`,
+                    reference: theoryName
+                },
+                {
+                    category: "Earth Pressure",
+                    name: "Face Wall Earth Pressure",
+                    formula: isRankine
+                        ? "P = Ka·γ·hs·H + ½·Ka·γ·H², Ph = P cos β, Pv = P sin β"
+                        : "P = Ka·γ·hs·H + ½·Ka·γ·H², Ph = P cos(δ + 90° − α), Pv = P sin(δ + 90° − α)",
+                    substituted: `pressures ${faceWall.surchargePressure} + ${faceWall.maxPressureAtBase} KN/m², P = ${faceWall.totalEarthPressure} KN/m at ${faceWall.heightOfAction} m, inclined ${faceWall.inclination}°`,
+                    result: `Ph = ${faceWall.horizontalPressure} KN/m, Pv = ${faceWall.verticalPressure} KN/m`,
+                    reference: `${theoryName}, face_walls.txt`
+                },
+                {
+                    category: "Earth Pressure",
+                    name: "Face Wall Stability",
+                    formula: "FoS(S) = (μ × 0.9W + Pp) / Ph, FoS(OT) = Mr / Mo, σ = P/A(1 ± 6e/b)",
+                    substituted: `W = ${faceWall.totalVertical} KN/m, Pp = ${faceWall.passiveResistance} KN/m, Mr = ${faceWall.restoringMoment}, Mo = ${faceWall.overturningMoment}, e = ${faceWall.eccentricity} m`,
+                    result: `FoS(S) = ${faceWall.safetyFactorSliding}, FoS(OT) = ${faceWall.safetyFactorOverturning}, σ = ${faceWall.minStress} to ${faceWall.maxStress} KN/m²`,
+                    reference: "face_walls.txt"
+                },
+            ];
+            if (faceWall.seismic) {
+                entries.push({
+                    category: "Earth Pressure",
+                    name: `Face Wall Seismic Earth Pressure (Zone ${faceWall.seismic.zone})`,
+                    formula: "ΔP = [(1 ± αv)Ca - Ka] × (½γH² + γ·hs·H), Mononobe-Okabe",
+                    substituted: `Z = ${faceWall.seismic.zoneFactor}, αh = ${faceWall.seismic.alphaH}, αv = ${faceWall.seismic.alphaV}, Ca = ${faceWall.seismic.Ca}, ΔP = ${faceWall.seismic.increment} KN/m at ${faceWall.seismic.incrementHeight} m`,
+                    result: `FoS(S) = ${faceWall.seismic.safetyFactorSliding}, FoS(OT) = ${faceWall.seismic.safetyFactorOverturning}${faceWall.seismic.isStable ? '' : ' - NOT SAFE'}`,
+                    reference: "IS 1893 (Part 3), IRC 6 clause 219.5.2"
+                });
+            }
+            return entries;
+        })(),
+        
+        // Foundation Design Category
+        ...engineeringResults.foundation.bases.map(base => ({
+            category: "Foundation Design",
+            name: `Soil Pressure (${base.support === 'abutment' ? 'Abutment' : 'Pier'})`,
+            formula: "q max ≤ 1.5 × SBC, q min ≥ 0",
+            substituted: `${base.maxPressure} ≤ 1.5 × ${engineeringResults.foundation.allowablePressure} (Envelope ${base.envelope}), ${base.minPressure} ≥ 0`,
+            result: `${base.maxPressure} KN/m² (${Math.round(base.utilisation * 100)}% of permissible)`,
+            reference: "structural_design_abutment.txt / pile-design.txt, RCC strip footing"
+        })),
+        ...['abutment', 'pier'].flatMap(support => engineeringResults.foundation.tierStresses[support].map(section => {
+            const worst = section.envelopes.reduce((max, stress) => stress.maxStress > max.maxStress ? stress : max);
+            const tension = section.envelopes.reduce((min, stress) => stress.minStress < min.minStress ? stress : min);
+            return {
+                category: "Foundation Design",
+                name: `Stresses ${section.section} (${support})`,
+                formula: "σ = P/A ± Mx/Zx ± My/Zy",
+                substituted: `A = ${section.area} m², Zx = ${section.zx} m³, Zy = ${section.zy} m³; Envelope-${worst.envelope}: P = ${worst.vertical} KN, Mx = ${worst.mx} KN-m, My = ${worst.my} KN-m`,
+                result: `σmax = ${worst.maxStress} KN/m² (≤ ${section.permissibleCompression}), σmin = ${tension.minStress} KN/m² (≥ ${section.permissibleTension})${section.isSafe ? '' : ' - NOT SAFE'}`,
+                reference: section.permissibleTension === 0 ? "IRC 78:2000, clause 706.3.3.1" : "IRC 21:2000, permissible stresses"
+            };
+        })),
+        
+        // Pier Design Category
+        ...engineeringResults.pier.selfWeightEccentricity.map(level => ({
+            category: "Pier Design",
+            name: `Self Weight Eccentricity (${level.level})`,
+            formula: "e = Σ W·x / Σ W − b/2",
+            substituted: `${level.moment} / ${level.load} − ${level.width} / 2`,
+            result: `${level.eccentricity} m`,
+            reference: "pile-design.txt, section III"
+        })),
         {
-            category: "Earth Pressure",
-            name: "Active Earth Pressure Coefficient",
-            formula: "Ka = sin²(α+φ) / [sin²α × sin(α-δ) × {...}]",
-            substituted: "Ka = Coulomb's theory calculation",
-            result: "0.57",
-            reference: "Coulomb's theory, face_walls.txt"
+            category: "Pier Design",
+            name: "Water Current on Pier",
+            formula: "P = 52K(V cos θ)² on end, 52K(V sin θ)² on side, V² from 0 at bed to 2V̄² at HFL, F = Σ ½(P₁ + P₂) × h × b",
+            substituted: `${engineeringResults.pier.waterCurrent.shape} pier, K = ${engineeringResults.pier.waterCurrent.shapeFactor}, θ = ${engineeringResults.pier.waterCurrent.angleOfAttack}°, V = ${engineeringResults.pier.waterCurrent.surfaceVelocity} m/s, h = ${engineeringResults.pier.waterCurrent.exposedHeight} m of D = ${engineeringResults.pier.waterCurrent.flowDepth} m`,
+            result: `Fx = ${engineeringResults.pier.waterCurrent.forceX} KN, Fy = ${engineeringResults.pier.waterCurrent.forceY} KN at ${engineeringResults.pier.waterCurrent.leverArm} m`,
+            reference: "IRC 6:2000, clause 213"
         },
+        ...engineeringResults.pier.stability.map(check => ({
+            category: "Pier Design",
+            name: `Stability at Base of Pier (Envelope-${check.envelope})`,
+            formula: "FoS(OT) = Mr / Mo ≥ 2.0, FoS(S) = μV / H ≥ 1.5",
+            substituted: `Mr = ${check.restoringMoment}, Mo = ${check.overturningMoment}, V = ${check.vertical}, H = ${check.horizontal}`,
+            result: `FoS(OT) = ${check.overturningFactor ?? '∞'}, FoS(S) = ${check.slidingFactor ?? '∞'}${check.isStable ? '' : ' - NOT SAFE'}`,
+            reference: "IRC 78:2000, clause 706.3.4"
+        })),
         
-        // Foundation Design Category
+        // Abutment Design Category
+        ...['withSurcharge', 'withoutSurcharge'].map(key => {
+            const earthPressure = engineeringResults.abutment.earthPressure;
+            const pressure = earthPressure[key];
+            return {
+                category: "Abutment Design",
+                name: key === 'withSurcharge' ? "Earth Pressure with Live Load Surcharge" : "Earth Pressure without Surcharge",
+                formula: earthPressure.theory === 'rankine'
+                    ? "P = (Ka·γ·h₃·H + ½·Ka·γ·H²) × B, Ph = P cos β, Pv = P sin β"
+                    : "P = (Ka·γ·h₃·H + ½·Ka·γ·H²) × B, Ph = P cos δ, Pv = P sin δ",
+                substituted: `${earthPressure.theory === 'rankine' ? 'Rankine' : 'Coulomb'} Ka = ${earthPressure.Ka}, h₃ = ${pressure.surchargeHeight} m, pressures ${pressure.pressureTop} to ${pressure.pressureBase} KN/m²`,
+                result: `Ph = ${pressure.horizontal} KN, Pv = ${pressure.vertical} KN at ${pressure.height} m`,
+                reference: "IRC 6:2000, clause 217.1"
+            };
+        }),
+        ...(engineeringResults.abutment.earthPressure.seismic ? [{
+            category: "Abutment Design",
+            name: `Seismic Earth Pressure Increment (Zone ${engineeringResults.abutment.earthPressure.seismic.zone})`,
+            formula: "ΔP = [(1 ± αv)Ca - Ka] × (½γH² + γ·h₃·H) × B, Mononobe-Okabe",
+            substituted: `αh = ${engineeringResults.abutment.earthPressure.seismic.alphaH}, αv = ${engineeringResults.abutment.earthPressure.seismic.alphaV}, Ca = ${engineeringResults.abutment.earthPressure.seismic.Ca}`,
+            result: `ΔPh = ${engineeringResults.abutment.earthPressure.seismic.horizontal} KN, ΔPv = ${engineeringResults.abutment.earthPressure.seismic.vertical} KN at ${engineeringResults.abutment.earthPressure.seismic.height} m`,
+            reference: "IS 1893 (Part 3), IRC 6 clause 219.5.2"
+        }] : []),
         {
-            category: "Foundation Design",
-            name: "Foundation Pressure",
-            formula: "q = P / A",
-            substituted: "q = Total Load / Foundation Area",
-            result: `${Math.round((engineeringResults.loads.totalVertical / 12) * 100) / 100} KN/m²`,
-            reference: "Foundation design principles"
+            category: "Abutment Design",
+            name: "Dirt Wall Bending",
+            formula: "σ = M / Z, M = Ka·γ·(h₃·h²/2 + h³/6)",
+            substituted: `h = ${engineeringResults.abutment.dirtWall.height} m, M = ${engineeringResults.abutment.dirtWall.momentPerMetre} KN-m/m, t = ${engineeringResults.abutment.dirtWall.thickness} m`,
+            result: `${engineeringResults.abutment.dirtWall.bendingStress} KN/m² (≤ ${engineeringResults.abutment.dirtWall.permissibleTension})`,
+            reference: "structural_design_abutment.txt"
         },
+        ...engineeringResults.abutment.stability.map(tier => {
+            const critical = tier.checks.reduce((min, check) => (check.overturningFactor ?? Infinity) < (min.overturningFactor ?? Infinity) ? check : min);
+            return {
+                category: "Abutment Design",
+                name: `Stability ${tier.section} (Envelope-${critical.envelope})`,
+                formula: "FoS(OT) = Mr / Mo ≥ 2.0, FoS(S) = μV / H ≥ 1.5",
+                substituted: `Mr = ${critical.restoringMoment}, Mo = ${critical.overturningMoment}, V = ${critical.vertical}, H = ${critical.horizontal}`,
+                result: `FoS(OT) = ${critical.overturningFactor ?? '∞'}, FoS(S) = ${critical.slidingFactor ?? '∞'}, σ = ${critical.minBasePressure} to ${critical.maxBasePressure} KN/m²${critical.isStable ? '' : ' - NOT SAFE'}`,
+                reference: "IRC 78:2000, clause 706.3.4"
+            };
+        }),
         
-        // Structural Analysis Category
+        // Deck slab design per metre width
+        {
+            category: "Structural Analysis",
+            name: "Deck Slab Effective Span",
+            formula: "L0 = min(clear span + d, c/c of seats), d = D − cover − φ/2",
+            substituted: `clear span = ${structuralResults.clearSpan} m, D = ${structuralResults.thickness} mm, d = ${structuralResults.effectiveDepth} mm`,
+            result: `L0 = ${structuralResults.effectiveSpan} m`,
+            reference: "IRC 112:2011, clause 7.6"
+        },
+        {
+            category: "Structural Analysis",
+            name: "Live Load Effective Width",
+            formula: "bef = α × a × (1 − a / L0) + b1 (+ gauge)",
+            substituted: `α = ${structuralResults.liveLoad.alpha}: ${structuralResults.liveLoad.classes.filter(result => result.momentWidth !== null).map(result => `${result.name} ${result.momentWidth} m`).join(', ') || 'UDL over full width'}`,
+            result: `Governing: ${structuralResults.liveLoad.governing}, ML = ${structuralResults.moments.live} KN-m/m, VL = ${structuralResults.shears.live} KN/m`,
+            reference: "IRC 21:2000, clause 305.16.2"
+        },
+        {
+            category: "Structural Analysis",
+            name: "Deck Slab Design Moment and Shear",
+            formula: "Mu = 1.35 Mg + 1.75 Mwc + 1.5 (Msilt + ML)",
+            substituted: `Mg = ${structuralResults.moments.dead}, Mwc = ${structuralResults.moments.superimposed}, Msilt = ${structuralResults.moments.silt}, ML = ${structuralResults.moments.live} KN-m/m`,
+            result: `Mu = ${structuralResults.moments.ultimate} KN-m/m, Vu = ${structuralResults.shears.ultimate} KN/m`,
+            reference: "IRC 6, Annex B"
+        },
+        {
+            category: "Structural Analysis",
+            name: "Deck Slab Required Depth",
+            formula: "d = √(Mu / (Rlim × b))",
+            substituted: `Mu = ${structuralResults.moments.ultimate} KN-m/m`,
+            result: `d required = ${structuralResults.requiredDepth} mm, provided = ${structuralResults.effectiveDepth} mm${structuralResults.checks.depth ? '' : ' - NOT SAFE'}`,
+            reference: "IRC 112:2011, clause 8.2"
+        },
+        {
+            category: "Structural Analysis",
+            name: "Deck Slab Reinforcement",
+            formula: "Mu = 0.87 fy Ast d (1 − Ast fy / (b d fck)), Ast ≥ 0.26 fctm/fy × b d; distribution for 0.3 ML + 0.2 MD",
+            substituted: `Main Ast = ${structuralResults.mainSteel.required ?? '-'} (min ${structuralResults.mainSteel.minimum}) mm²/m, distribution Ast = ${structuralResults.distributionSteel.required ?? '-'} (min ${structuralResults.distributionSteel.minimum}) mm²/m`,
+            result: `Main: ${structuralResults.mainSteel.designation} (${structuralResults.mainSteel.provided ?? '-'} mm²/m), distribution: ${structuralResults.distributionSteel.designation} (${structuralResults.distributionSteel.provided ?? '-'} mm²/m)`,
+            reference: "IRC 112:2011, clause 16.5; IRC 21:2000, clause 305.18"
+        },
         {
             category: "Structural Analysis",
-            name: "Bending Moment",
-            formula: "M = wL² / 8",
-            substituted: "M = (distributed load) × L² / 8",
-            result: `${structuralResults.maxBendingMoment} KN-m`,
-            reference: "Simply supported beam theory"
+            name: "Deck Slab Shear",
+            formula: "VEd at the seat with β = av / 2d within 2d; VRd,c = 0.12 k (80 ρ1 fck)^0.33 × b d ≥ 0.031 k^1.5 √fck × b d; VEd (no β) ≤ 0.5 b d ν fcd; links Asw/s = VEd / (0.9 d fywd cot θ)",
+            substituted: `Vu = ${structuralResults.shear.demand} KN/m (${structuralResults.shear.crushingDemand} KN/m without β), τ = ${structuralResults.shear.stress} N/mm²`,
+            result: `VRd,c = ${structuralResults.shear.resistance} KN/m, crushing limit ${structuralResults.shear.crushingLimit} KN/m${structuralResults.shear.links ? `; links ${structuralResults.shear.links.provided} mm²/m² (VRd,max = ${structuralResults.shear.links.maximumResistance} KN/m)` : '; no shear reinforcement required'}${structuralResults.shear.isSafe ? '' : ' - NOT SAFE'}`,
+            reference: "IRC 112:2011, clause 10.3.2"
         },
         {
             category: "Structural Analysis",
-            name: "Deflection",
-            formula: "δ = 5wL⁴ / (384EI)",
-            substituted: "δ = 5 × load × L⁴ / (384 × E × I)",
-            result: `${structuralResults.maxDeflection} mm`,
-            reference: "Beam deflection theory"
+            name: "Deck Slab Crack Width",
+            formula: "wk = sr,max × (εsm − εcm) under the quasi-permanent moment",
+            substituted: `M = ${structuralResults.moments.quasiPermanent} KN-m/m, σs = ${structuralResults.crackWidth.steelStress ?? '-'} N/mm²`,
+            result: `wk = ${structuralResults.crackWidth.width ?? '-'} mm (limit ${structuralResults.crackWidth.limit} mm)${structuralResults.crackWidth.isSafe ? '' : ' - NOT SAFE'}`,
+            reference: "IRC 112:2011, clause 12.3.4"
+        },
+        {
+            category: "Structural Analysis",
+            name: "Deck Slab Deflection",
+            formula: "L0 / d ≤ basic span/depth ratio",
+            substituted: `L0 / d = ${structuralResults.deflection.spanDepthRatio}`,
+            result: `limit ${structuralResults.deflection.limit}${structuralResults.deflection.isSafe ? '' : ' - NOT SAFE'}`,
+            reference: "IRC 112:2011, clause 12.4.1"
         }
     ];
 }
@@ -738,24 +4278,6 @@ function generateEnhancedHTMLReport(designData, calculationResults, excelData) {
         excelSections = excelData.sheets;
     }
 
-    // Enhanced data processing for comprehensive report with 105% more detail
-    const coverSection = generate105PercentDetailedCoverSection(designData, calculationResults);
-    const hydraulicSection = generate105PercentHydraulicSection(excelSections, calculationResults);
-    const structuralSection = generate105PercentStructuralSection(excelSections, calculationResults);
-    const earthPressureSection = generate105PercentEarthPressureSection(excelSections, calculationResults);
-    const foundationSection = generate105PercentFoundationSection(excelSections, calculationResults);
-    const materialSection = generate105PercentMaterialSection(excelSections, calculationResults);
-    const safetySection = generate105PercentSafetySection(excelSections, calculationResults);
-    const constructionSection = generate105PercentConstructionSection(excelSections, calculationResults);
-    const recommendationsSection = generate105PercentRecommendationsSection(excelSections, calculationResults);
-    const computationTrace = generateEnhancedComputationTrace(calculationResults);
-    const engineeringAnalysis = generateDeep105PercentEngineeringAnalysis(designData, calculationResults);
-    const codeComplianceSection = generateCodeComplianceSection(calculationResults);
-    const riskAssessment = generateRiskAssessmentSection(designData, calculationResults);
-    const constructionGuidelines = generateConstructionGuidelinesSection(designData, calculationResults);
-    const detailedIllustrations = generate105PercentDetailedIllustrations(designData, calculationResults);
-    const comprehensiveAnalysis = generate105PercentComprehensiveAnalysis(excelSections, calculationResults);
-    
     // Create comprehensive report with 105% more detailed content than Excel
     return `
     <!DOCTYPE html>
@@ -1153,7 +4675,7 @@ function generateEnhancedHTMLReport(designData, calculationResults, excelData) {
                 <table class="parameter-table">
                     <thead>
                         <tr>
-                            <th colspan="8">Cross-Sectional Survey Data - Bridge Site (20m upstream)</th>
+                            <th colspan="8">Cross-Sectional Survey Data - ${calculationResults.hydraulics.sections[0].name}</th>
                         </tr>
                         <tr>
                             <th>S.No</th>
@@ -1167,90 +4689,21 @@ function generateEnhancedHTMLReport(designData, calculationResults, excelData) {
                         </tr>
                     </thead>
                     <tbody>
+                        ${calculationResults.hydraulics.crossSectionTable.map((row, index) => `
                         <tr>
-                            <td>1</td>
-                            <td>0</td>
-                            <td>6.500</td>
-                            <td>0.00</td>
-                            <td>0.00</td>
-                            <td>0.00</td>
-                            <td>0.00</td>
-                            <td>0.00</td>
-                        </tr>
-                        <tr>
-                            <td>2</td>
-                            <td>1</td>
-                            <td>5.340</td>
-                            <td>0.90</td>
-                            <td>0.45</td>
-                            <td>1.00</td>
-                            <td>0.45</td>
-                            <td>1.08</td>
-                        </tr>
-                        <tr>
-                            <td>3</td>
-                            <td>2</td>
-                            <td>4.560</td>
-                            <td>1.68</td>
-                            <td>1.29</td>
-                            <td>1.00</td>
-                            <td>1.29</td>
-                            <td>1.05</td>
-                        </tr>
-                        <tr>
-                            <td>4</td>
-                            <td>4</td>
-                            <td>3.965</td>
-                            <td>2.27</td>
-                            <td>1.97</td>
-                            <td>2.00</td>
-                            <td>3.95</td>
-                            <td>2.05</td>
-                        </tr>
-                        <tr>
-                            <td>5</td>
-                            <td>6</td>
-                            <td>4.780</td>
-                            <td>1.46</td>
-                            <td>1.86</td>
-                            <td>2.00</td>
-                            <td>3.73</td>
-                            <td>2.34</td>
-                        </tr>
-                        <tr>
-                            <td>6</td>
-                            <td>7</td>
-                            <td>5.300</td>
-                            <td>0.94</td>
-                            <td>1.20</td>
-                            <td>1.00</td>
-                            <td>1.20</td>
-                            <td>1.12</td>
-                        </tr>
-                        <tr>
-                            <td>7</td>
-                            <td>9</td>
-                            <td>6.100</td>
-                            <td>0.14</td>
-                            <td>0.54</td>
-                            <td>2.00</td>
-                            <td>1.07</td>
-                            <td>2.30</td>
-                        </tr>
-                        <tr>
-                            <td>8</td>
-                            <td>10</td>
-                            <td>6.420</td>
-                            <td>0.00</td>
-                            <td>0.07</td>
-                            <td>1.00</td>
-                            <td>0.07</td>
-                            <td>1.05</td>
-                        </tr>
+                            <td>${index + 1}</td>
+                            <td>${row.chainage}</td>
+                            <td>${row.bedLevel.toFixed(3)}</td>
+                            <td>${row.depth.toFixed(2)}</td>
+                            <td>${row.averageDepth.toFixed(2)}</td>
+                            <td>${row.distance.toFixed(2)}</td>
+                            <td>${row.area.toFixed(2)}</td>
+                            <td>${row.wettedPerimeter.toFixed(2)}</td>
+                        </tr>`).join('')}
                         <tr style="background: #e8f5e8; font-weight: bold;">
                             <td colspan="6"><strong>Total</strong></td>
-                            <td><strong>11.74</strong></td>
-                            <td><strong>10.99</strong></td>
+                            <td><strong>${calculationResults.hydraulics.sections[0].flowArea}</strong></td>
+                            <td><strong>${calculationResults.hydraulics.sections[0].wettedPerimeter}</strong></td>
                         </tr>
                     </tbody>
                 </table>
@@ -1267,19 +4720,19 @@ function generateEnhancedHTMLReport(designData, calculationResults, excelData) {
                         <tr>
                             <td><strong>Hydraulic Radius (R)</strong></td>
                             <td>Total Area / Wetted Perimeter</td>
-                            <td class="variable-highlight">11.74 / 10.99 = 1.07</td>
+                            <td class="variable-highlight">${calculationResults.hydraulics.sections[0].flowArea} / ${calculationResults.hydraulics.sections[0].wettedPerimeter} = ${calculationResults.hydraulics.sections[0].hydraulicRadius}</td>
                             <td>m</td>
                         </tr>
                         <tr>
                             <td><strong>Velocity (V)</strong></td>
                             <td>(1/n) × R^(2/3) × S^(1/2)</td>
-                            <td class="variable-highlight">2.58</td>
+                            <td class="variable-highlight">${calculationResults.hydraulics.sections[0].velocity}</td>
                             <td>m/sec</td>
                         </tr>
                         <tr>
                             <td><strong>Discharge (Q)</strong></td>
                             <td>A × V</td>
-                            <td class="variable-highlight">11.74 × 2.58 = 30.28</td>
+                            <td class="variable-highlight">${calculationResults.hydraulics.sections[0].flowArea} × ${calculationResults.hydraulics.sections[0].velocity} = ${calculationResults.hydraulics.sections[0].discharge}</td>
                             <td>m³/sec</td>
                         </tr>
                     </table>
@@ -1663,7 +5116,7 @@ function generateSheetSection(sheetName, sheetData, designData, calculationResul
             sectionHTML += generateFaceWallsSection(sheetData);
             break;
         case 'Hydraulic Design':
-            sectionHTML += generateHydraulicDesignSection(sheetData);
+            sectionHTML += generateHydraulicDesignSection(sheetData, calculationResults);
             break;
         default:
             sectionHTML += generateGenericSection(sheetName, sheetData);
@@ -1922,7 +5375,8 @@ function generateFaceWallsSection(data) {
 }
 
 // Hydraulic Design processing
-function generateHydraulicDesignSection(data) {
+function generateHydraulicDesignSection(data, calculationResults) {
+    const site = calculationResults.hydraulics.sections[0]; // the bridge site, which sets the area-velocity discharge
     return `
         <h3>💧 Complete Hydraulic Design from Excel Integration</h3>
         <div class="computation-box">
@@ -1982,19 +5436,19 @@ function generateHydraulicDesignSection(data) {
             <h4>II) Discharge Calculations - Excel Formula Integration</h4>
             <div class="formula-box">
                 <strong>Area-Velocity Method:</strong><br>
-                Q = A × V = 11.74 × 2.58 = 30.28 m³/sec<br>
+                Q = A × V = ${site.flowArea} × ${site.velocity} = ${site.discharge} m³/sec<br>
                 <strong>Where: A = Cross-sectional area, V = Flow velocity</strong>
             </div>
             
             <div class="formula-box">
                 <strong>Manning's Velocity Formula:</strong><br>
                 V = (1/n) × R^(2/3) × S^(1/2)<br>
-                V = (1/0.05) × (1.07)^(2/3) × (0.0152)^(1/2) = 2.58 m/sec
+                V = (1/${site.rugosityCoeff}) × (${site.hydraulicRadius})^(2/3) × (${site.bedSlope})^(1/2) = ${site.velocity} m/sec
             </div>
             
             <div class="formula-box">
                 <strong>Hydraulic Radius:</strong><br>
-                R = Total Area / Wetted Perimeter = 11.74 / 10.99 = 1.07 m
+                R = Total Area / Wetted Perimeter = ${site.flowArea} / ${site.wettedPerimeter} = ${site.hydraulicRadius} m
             </div>
         </div>
         
@@ -2101,6 +5555,10 @@ function generate105PercentDetailedCoverSection(designData, calculationResults)
 
 // Generate 105% more detailed hydraulic section
 function generate105PercentHydraulicSection(excelSections, calculationResults) {
+    const hydraulics = calculationResults.hydraulics;
+    const site = hydraulics.sections[0]; // the bridge site, which sets the area-velocity discharge
+    const { ventway, scour } = hydraulics;
+    const uplift = calculationResults.loads.buoyancyAnalysis.uplift;
     return `
     <div class="section">
         <h2>🌊 HYDRAULIC DESIGN ANALYSIS (105% Enhanced with Authentic Engineering Language)</h2>
@@ -2140,22 +5598,24 @@ function generate105PercentHydraulicSection(excelSections, calculationResults) {
                 <p><strong>V = (1/n) × R^(2/3) × S^(1/2)</strong></p>
                 <table class="calculation-table">
                     <tr><th>Parameter</th><th>Symbol</th><th>Value</th><th>Unit</th><th>Engineering Basis</th></tr>
-                    <tr><td>Manning's Roughness Coefficient</td><td>n</td><td>0.035</td><td>-</td><td>Natural channel with moderate vegetation</td></tr>
-                    <tr><td>Cross-sectional Area</td><td>A</td><td>11.74</td><td>m²</td><td>Surveyed channel section at bridge site</td></tr>
-                    <tr><td>Wetted Perimeter</td><td>P</td><td>10.99</td><td>m</td><td>Channel geometry including side slopes</td></tr>
-                    <tr><td>Hydraulic Radius</td><td>R</td><td>A/P = 1.07</td><td>m</td><td>Fundamental hydraulic parameter</td></tr>
-                    <tr><td>Channel Slope</td><td>S</td><td>0.0152</td><td>m/m</td><td>1 in 66 gradient (field measured)</td></tr>
-                    <tr><td>Mean Velocity</td><td>V</td><td>2.58</td><td>m/sec</td><td>Manning's formula result</td></tr>
+                    <tr><td>Manning's Roughness Coefficient</td><td>n</td><td>${site.rugosityCoeff}</td><td>-</td><td>Natural channel (IRC SP 13)</td></tr>
+                    <tr><td>Cross-sectional Area</td><td>A</td><td>${site.flowArea}</td><td>m²</td><td>Surveyed channel section at ${site.name}</td></tr>
+                    <tr><td>Wetted Perimeter</td><td>P</td><td>${site.wettedPerimeter}</td><td>m</td><td>Surveyed channel section at ${site.name}</td></tr>
+                    <tr><td>Hydraulic Radius</td><td>R</td><td>A/P = ${site.hydraulicRadius}</td><td>m</td><td>Fundamental hydraulic parameter</td></tr>
+                    <tr><td>Channel Slope</td><td>S</td><td>${site.bedSlope}</td><td>m/m</td><td>1 in ${Math.round(1 / site.bedSlope)} gradient (field measured)</td></tr>
+                    <tr><td>Mean Velocity</td><td>V</td><td>${site.velocity}</td><td>m/sec</td><td>Manning's formula result</td></tr>
                 </table>
                 
                 <div class="discharge-calculation">
                     <h4>Discharge Computation:</h4>
-                    <p><strong>Q = A × V = 11.74 × 2.58 = 30.28 m³/sec</strong></p>
-                    <p><em>This represents the design discharge capacity for the natural channel configuration.</em></p>
+                    <p><strong>Q = A × V = ${site.flowArea} × ${site.velocity} = ${site.discharge} m³/sec</strong></p>
+                    <p><em>With the surplus weir discharge of ${hydraulics.weirDischarge} m³/sec the design discharge is ${hydraulics.designDischarge} m³/sec (${hydraulics.designDischargeMethod}).</em></p>
                 </div>
             </div>
         </div>
         
+        ${generateDischargeSectionsTable(calculationResults.hydraulics)}
+        
         <div class="ventway-calculations-box">
             <h3>🏗️ Ventway Calculations per IRC SP:82-2008</h3>
             <div class="irc-compliance">
@@ -2171,15 +5631,16 @@ function generate105PercentHydraulicSection(excelSections, calculationResults) {
                 </div>
                 
                 <div class="waterway-calculation">
-                    <h4>Linear Waterway Calculation:</h4>
-                    <p><strong>Formula: LW = Q/(1.84 × H^1.5)</strong></p>
+                    <h4>Vented Area and Obstruction:</h4>
+                    <p><strong>Obstruction = (A − a) / A, a = area left to the flow</strong></p>
                     <table class="ventway-table">
                         <tr><th>Parameter</th><th>Value</th><th>Unit</th><th>Calculation Method</th></tr>
-                        <tr><td>Design Discharge (Q)</td><td>30.28</td><td>m³/sec</td><td>From Manning's area-velocity method</td></tr>
-                        <tr><td>Clear Height Available (H)</td><td>2.50</td><td>m</td><td>Vertical clearance under deck slab</td></tr>
-                        <tr><td>Required Linear Waterway</td><td>Q/(1.84×H^1.5) = 6.85</td><td>m</td><td>IRC SP:82-2008 formula</td></tr>
-                        <tr><td>Provided Waterway (6 vents)</td><td>6 × 6.0 = 36.0</td><td>m</td><td>Total effective waterway</td></tr>
-                        <tr><td>Safety Factor</td><td>36.0/6.85 = 5.25</td><td>-</td><td>Excellent hydraulic adequacy</td></tr>
+                        <tr><td>Design Discharge (Q)</td><td>${hydraulics.designDischarge}</td><td>m³/sec</td><td>${hydraulics.designDischargeMethod}</td></tr>
+                        <tr><td>Vented Area (spans + pipes)</td><td>${ventway.spanVentArea} + ${ventway.pipeVentArea} = ${ventway.ventedArea}</td><td>m²</td><td>Clear vents below the deck soffit</td></tr>
+                        <tr><td>Unobstructed Area below RTL</td><td>${ventway.unobstructedAreaRTL}</td><td>m²</td><td>Natural section up to road top level</td></tr>
+                        <tr><td>Unobstructed Area below HFL</td><td>${ventway.unobstructedAreaHFL}</td><td>m²</td><td>Natural section up to HFL</td></tr>
+                        <tr><td>Obstruction at RTL</td><td>${ventway.obstructionAtRTL}%</td><td>-</td><td>${ventway.obstructionAtRTL <= ventway.obstructionLimitRTL ? '≤' : '>'} ${ventway.obstructionLimitRTL}% allowed</td></tr>
+                        <tr><td>Obstruction at HFL</td><td>${ventway.obstructionAtHFL}%</td><td>-</td><td>${ventway.obstructionAtHFL <= ventway.obstructionLimitHFL ? '≤' : '>'} ${ventway.obstructionLimitHFL}% allowed</td></tr>
                     </table>
                 </div>
             </div>
@@ -2189,25 +5650,26 @@ function generate105PercentHydraulicSection(excelSections, calculationResults) {
             <h3>🌊 Comprehensive Scour Analysis using Lacey's Method</h3>
             <div class="lacey-formula">
                 <h4>Lacey's Regime Theory Application:</h4>
-                <p><strong>Normal Scour Depth: R = 0.473 × (Q/f)^(1/3)</strong></p>
+                <p><strong>Normal Scour Depth: ${scour.dischargeIntensity !== null ? 'D = 1.34 × (q²/f)^(1/3)' : 'D = 0.473 × (Q/f)^(1/3)'}</strong></p>
                 <table class="scour-parameters">
                     <tr><th>Parameter</th><th>Symbol</th><th>Value</th><th>Unit</th><th>Engineering Reference</th></tr>
-                    <tr><td>Design Discharge</td><td>Q</td><td>30.28</td><td>m³/s</td><td>Manning's calculation result</td></tr>
-                    <tr><td>Lacey's Silt Factor</td><td>f</td><td>1.76</td><td>-</td><td>For fine sand (d_m = 0.3 mm)</td></tr>
-                    <tr><td>Discharge per unit width</td><td>q</td><td>Q/36 = 0.84</td><td>m³/s/m</td><td>Distributed over total waterway</td></tr>
-                    <tr><td>Normal Scour Depth</td><td>R</td><td>0.473×(0.84/1.76)^(1/3) = 0.365</td><td>m</td><td>Lacey's regime equation</td></tr>
-                    <tr><td>Design Scour (with factor)</td><td>R_d</td><td>1.5 × 0.365 = 0.548</td><td>m</td><td>Safety factor 1.5 applied</td></tr>
+                    <tr><td>Discharge for Foundations</td><td>Q</td><td>${scour.foundationDischarge}</td><td>m³/s</td><td>Design discharge increased for foundations</td></tr>
+                    <tr><td>Lacey's Silt Factor</td><td>f</td><td>${scour.siltFactor}</td><td>-</td><td>1.76 × √d50</td></tr>
+                    ${scour.dischargeIntensity !== null ? `<tr><td>Discharge per unit width</td><td>q</td><td>Q/${scour.linearWaterway} = ${scour.dischargeIntensity}</td><td>m³/s/m</td><td>Linear waterway narrower than regime width ${scour.regimeWidth} m</td></tr>` : ''}
+                    <tr><td>Normal Scour Depth</td><td>D</td><td>${scour.normalScourDepth}</td><td>m</td><td>Lacey's regime equation</td></tr>
+                    <tr><td>Maximum Scour at Pier</td><td>Dm</td><td>max(${scour.pier.factor} × ${scour.normalScourDepth}, ${scour.bendScourDepth}) = ${scour.pierScourDepth}</td><td>m</td><td>IRC:5, clause 110.1.4.2</td></tr>
+                    <tr><td>Maximum Scour at Abutment</td><td>Dm</td><td>max(${scour.abutment.factor} × ${scour.normalScourDepth}, ${scour.bendScourDepth}) = ${scour.abutmentScourDepth}</td><td>m</td><td>IRC:5, clause 110.1.4.2</td></tr>
                 </table>
                 
                 <div class="foundation-level">
                     <h4>Foundation Level Determination:</h4>
                     <p><strong>Critical Design Levels:</strong></p>
                     <ul>
-                        <li><strong>High Flood Level (HFL):</strong> 6.235 m</li>
-                        <li><strong>Low Bed Level (LBL):</strong> 3.965 m</li>
-                        <li><strong>Maximum Scour below HFL:</strong> 0.548 m</li>
-                        <li><strong>Bottom Foundation Level (BFL):</strong> 2.315 m</li>
-                        <li><strong>Safety Margin:</strong> 3.92 - 0.548 = 3.37 m (Excellent)</li>
+                        <li><strong>High Flood Level (HFL):</strong> ${calculationResults.inputs.hfl.value} m</li>
+                        <li><strong>Low Bed Level (LBL):</strong> ${calculationResults.inputs.lbl.value} m</li>
+                        <li><strong>Maximum Scour Level:</strong> ${calculationResults.inputs.hfl.value} - ${scour.maximumScourDepth} = ${scour.maximumScourLevel} m</li>
+                        <li><strong>Bottom Foundation Level (BFL):</strong> ${scour.foundationLevel} m (required ${scour.requiredFoundationLevel} m or lower)</li>
+                        <li><strong>${scour.isFoundationSafe ? '✓' : '⚠️'} Margin below Scour Level:</strong> ${Math.round((scour.maximumScourLevel - scour.foundationLevel) * 100) / 100} m against ${scour.requiredMargin} m required</li>
                     </ul>
                 </div>
             </div>
@@ -2217,22 +5679,23 @@ function generate105PercentHydraulicSection(excelSections, calculationResults) {
             <h3>📊 Afflux Calculations & Upstream Water Level Rise</h3>
             <div class="afflux-formula">
                 <h4>Afflux Analysis per IRC Guidelines:</h4>
-                <p><strong>Δh = (V₂² - V₁²)/(2g) + Head Losses</strong></p>
+                <p><strong>${hydraulics.affluxDetails.method === 'orifice' ? 'Q = Co × √(2g) × L × Dd × [h + (1+e) × u²/2g]^(1/2)' : 'h = (V²/17.85 + 0.0152) × (A²/a² − 1)'}</strong></p>
+                <p>${hydraulics.affluxDetails.substituted}</p>
                 <table class="afflux-parameters">
                     <tr><th>Component</th><th>Symbol</th><th>Value</th><th>Unit</th><th>Calculation Method</th></tr>
-                    <tr><td>Upstream Velocity</td><td>V₁</td><td>1.8</td><td>m/s</td><td>Natural channel flow velocity</td></tr>
-                    <tr><td>Velocity through Vents</td><td>V₂</td><td>√(2×g×h) = 3.65</td><td>m/s</td><td>Contracted section velocity</td></tr>
-                    <tr><td>Head Loss (velocity increase)</td><td>h₁</td><td>(V₂²-V₁²)/(2g) = 0.012</td><td>m</td><td>Energy equation</td></tr>
-                    <tr><td>Afflux (computed)</td><td>Δh</td><td>0.131</td><td>m</td><td>Total upstream rise</td></tr>
-                    <tr><td>Uplift Head</td><td>h_u</td><td>0.543</td><td>m</td><td>For deck slab uplift calculation</td></tr>
+                    <tr><td>Upstream Velocity</td><td>V₁</td><td>${hydraulics.velocity}</td><td>m/s</td><td>Natural channel flow velocity</td></tr>
+                    <tr><td>Velocity through Vents</td><td>V₂</td><td>Q/a = ${uplift.ventVelocity}</td><td>m/s</td><td>Contracted section velocity</td></tr>
+                    <tr><td>Head Loss (velocity increase)</td><td>h₁</td><td>(V₂²-V₁²)/(2g) = ${uplift.headLoss}</td><td>m</td><td>Energy equation</td></tr>
+                    <tr><td>Afflux (computed)</td><td>Δh</td><td>${hydraulics.afflux}</td><td>m</td><td>Total upstream rise (${hydraulics.affluxDetails.method} formula)</td></tr>
+                    <tr><td>Uplift Head</td><td>h_u</td><td>${uplift.head}</td><td>m</td><td>For deck slab uplift calculation</td></tr>
                 </table>
                 
                 <div class="water-levels">
                     <h4>Design Water Level Summary:</h4>
                     <ul>
-                        <li><strong>Natural HFL:</strong> 6.235 m</li>
-                        <li><strong>Design HFL (with afflux):</strong> 6.235 + 0.131 = 6.366 m</li>
-                        <li><strong>Road Top Level (RTL):</strong> 5.645 m (below HFL for submersible design)</li>
+                        <li><strong>Natural HFL:</strong> ${calculationResults.inputs.hfl.value} m</li>
+                        <li><strong>Design HFL (with afflux):</strong> ${hydraulics.affluxDetails.upstreamWaterLevel} m</li>
+                        <li><strong>Road Top Level (RTL):</strong> ${hydraulics.roadCrestLevel} m (${hydraulics.roadCrestLevel < calculationResults.inputs.hfl.value ? 'below' : 'above'} HFL)</li>
                         <li><strong>Freeboard Adequacy:</strong> Adequate for design flood conditions</li>
                     </ul>
                 </div>
@@ -2247,9 +5710,9 @@ function generate105PercentHydraulicSection(excelSections, calculationResults) {
                 <div class="water-pressure-forces">
                     <h5>1. Water Pressure Forces:</h5>
                     <ul>
-                        <li><strong>Static Head Pressure:</strong> P = w×h (linearly varying from 0 to maximum)</li>
-                        <li><strong>Velocity Head Pressure:</strong> P = 52×K×V² where K=1.5, V=3.65 m/s</li>
-                        <li><strong>Total Horizontal Pressure:</strong> 16.09 kN acting at 0.71 m height</li>
+                        <li><strong>Static Head Pressure:</strong> P = w×z to depth h = ${calculationResults.loads.waterPressures.staticHead} m (afflux or deck depth), w×h below it</li>
+                        <li><strong>Velocity Head Pressure:</strong> P = 52×K×V² where K=${calculationResults.pier.waterCurrent.shapeFactor}, V=${calculationResults.pier.waterCurrent.surfaceVelocity} m/s</li>
+                        <li><strong>Total Horizontal Pressure:</strong> ${calculationResults.loads.waterPressures.pier.staticPressure.force} kN on the pier at ${calculationResults.loads.waterPressures.pier.staticPressure.leverArm} m, ${calculationResults.loads.waterPressures.abutment.staticPressure.force} kN on the abutment at ${calculationResults.loads.waterPressures.abutment.staticPressure.leverArm} m</li>
                     </ul>
                 </div>
                 
@@ -2259,8 +5722,9 @@ function generate105PercentHydraulicSection(excelSections, calculationResults) {
                     <ul>
                         <li><strong>Friction coefficient (f):</strong> 1.0</li>
                         <li><strong>Constant (C):</strong> 0.1 (10% of velocity)</li>
-                        <li><strong>Deck slab friction:</strong> 4.96 kN at 3.09 m from foundation</li>
-                        <li><strong>Pier face friction:</strong> 0.50 kN at 1.50 m from foundation</li>
+                        <li><strong>Velocity through vents (Vv):</strong> ${calculationResults.loads.waterPressures.ventVelocity} m/s</li>
+                        <li><strong>Deck slab friction:</strong> ${calculationResults.loads.waterPressures.deckFriction.force} kN at ${calculationResults.loads.waterPressures.deckFriction.leverArm} m from foundation</li>
+                        <li><strong>Pier face friction:</strong> ${calculationResults.loads.waterPressures.pier.friction.force} kN at ${calculationResults.loads.waterPressures.pier.friction.leverArm} m from foundation</li>
                     </ul>
                 </div>
                 
@@ -2269,10 +5733,10 @@ function generate105PercentHydraulicSection(excelSections, calculationResults) {
                     <p><strong>Formula: Uplift = w×h×A_sp</strong></p>
                     <table class="uplift-table">
                         <tr><th>Parameter</th><th>Value</th><th>Unit</th><th>Description</th></tr>
-                        <tr><td>Uplift head (h)</td><td>0.543</td><td>m</td><td>Higher of afflux or thickness minus velocity head loss</td></tr>
-                        <tr><td>Deck slab area (A_sp)</td><td>40.8</td><td>m²</td><td>Plan area of superstructure</td></tr>
+                        <tr><td>Uplift head (h)</td><td>${uplift.head}</td><td>m</td><td>Higher of afflux or thickness minus velocity head loss</td></tr>
+                        <tr><td>Deck slab area (A_sp)</td><td>${uplift.area}</td><td>m²</td><td>Plan area of superstructure</td></tr>
                         <tr><td>Unit weight of water (w)</td><td>10</td><td>kN/m³</td><td>Standard value</td></tr>
-                        <tr><td>Total uplift force</td><td>221.54</td><td>kN</td><td>Acting vertically upward</td></tr>
+                        <tr><td>Total uplift force</td><td>${uplift.force}</td><td>kN</td><td>Acting vertically upward</td></tr>
                     </table>
                 </div>
             </div>
@@ -2284,11 +5748,11 @@ function generate105PercentHydraulicSection(excelSections, calculationResults) {
                 <h4>Comprehensive Design Verification:</h4>
                 <ul>
                     <li><strong>✓ Multi-Method Discharge Verification:</strong> Area-velocity, catchment area, and surplus weir methods</li>
-                    <li><strong>✓ Manning's Formula Validation:</strong> n=0.035, R=1.07m, S=0.0152, yielding V=2.58 m/s</li>
-                    <li><strong>✓ Ventway Adequacy:</strong> 36.0 m provided > 6.85 m required (525% safety factor)</li>
-                    <li><strong>✓ IRC SP:82-2008 Compliance:</strong> < 70% obstruction at RTL, < 30% at HFL</li>
-                    <li><strong>✓ Scour Protection:</strong> Foundation at 2.315m > scour depth 0.548m (3.37m margin)</li>
-                    <li><strong>✓ Afflux Control:</strong> 0.131m rise < 0.3m allowable (excellent efficiency)</li>
+                    <li><strong>✓ Manning's Formula Validation:</strong> n=${site.rugosityCoeff}, R=${site.hydraulicRadius}m, S=${site.bedSlope}, yielding V=${site.velocity} m/s</li>
+                    <li><strong>${ventway.isAdequate ? '✓' : '⚠️'} Ventway Adequacy:</strong> ${ventway.obstructionAtRTL}% obstruction at RTL and ${ventway.obstructionAtHFL}% at HFL</li>
+                    <li><strong>✓ IRC SP:82-2008 Compliance:</strong> < ${ventway.obstructionLimitRTL}% obstruction at RTL, < ${ventway.obstructionLimitHFL}% at HFL</li>
+                    <li><strong>${scour.isFoundationSafe ? '✓' : '⚠️'} Scour Protection:</strong> Foundation at ${scour.foundationLevel}m below maximum scour level ${scour.maximumScourLevel}m (${Math.round((scour.maximumScourLevel - scour.foundationLevel) * 100) / 100}m margin)</li>
+                    <li><strong>${calculationResults.hydraulics.afflux < 0.3 ? '✓' : '⚠️'} Afflux Control:</strong> ${calculationResults.hydraulics.afflux}m rise ${calculationResults.hydraulics.afflux < 0.3 ? '<' : '≥'} 0.3m allowable</li>
                     <li><strong>✓ Force Analysis:</strong> All hydraulic forces quantified per IRC standards</li>
                     <li><strong>✓ Water Level Management:</strong> RTL below HFL for submersible design philosophy</li>
                 </ul>
@@ -2302,6 +5766,30 @@ function generate105PercentHydraulicSection(excelSections, calculationResults) {
     `;
 }
 
+// Area-velocity discharge at each surveyed section with the governing value
+function generateDischargeSectionsTable(hydraulics) {
+    if (!hydraulics || !Array.isArray(hydraulics.sections)) return '';
+    
+    return `
+        <div class="discharge-sections-box">
+            <h3>📐 Area-Velocity Discharge at Surveyed Sections</h3>
+            <table class="calculation-table">
+                <tr><th>Section</th><th>HFL (m)</th><th>Bed Slope</th><th>n</th><th>A (m²)</th><th>P (m)</th><th>R (m)</th><th>V (m/sec)</th><th>Q (m³/sec)</th></tr>
+                ${hydraulics.sections.map(section => `
+                <tr${section.name === hydraulics.governingSection ? ' style="font-weight:bold;"' : ''}><td>${section.name}</td><td>${section.hfl}</td><td>${section.bedSlope}</td><td>${section.rugosityCoeff}</td><td>${section.flowArea}</td><td>${section.wettedPerimeter}</td><td>${section.hydraulicRadius}</td><td>${section.velocity}</td><td>${section.discharge}</td></tr>`).join('')}
+            </table>
+            <p><strong>Governing Section:</strong> ${hydraulics.governingSection} - ${hydraulics.governingReason}</p>
+            <table class="calculation-table">
+                <tr><th>Catchment Method</th><th>Formula</th><th>Q (m³/sec)</th></tr>
+                ${(hydraulics.catchmentDischarges || []).map(result => `
+                <tr${result.name === hydraulics.catchmentMethod ? ' style="font-weight:bold;"' : ''}><td>${result.name}</td><td>${result.formula || ''}</td><td>${result.discharge}</td></tr>`).join('')}
+            </table>
+            <p><strong>Surplus Weir Discharge:</strong> Q = C × L × H^(3/2) = ${hydraulics.weirDischarge} m³/sec</p>
+            <p><strong>Design Discharge:</strong> ${hydraulics.designDischarge} m³/sec (${hydraulics.designDischargeMethod} governs)</p>
+        </div>
+    `;
+}
+
 // Generate 105% more detailed structural section
 function generate105PercentStructuralSection(excelSections, calculationResults) {
     return `
@@ -2335,7 +5823,7 @@ function generate105PercentStructuralSection(excelSections, calculationResults)
                     <li><strong>Live Load:</strong> IRC Class A vehicular loading (medium importance bridges)</li>
                     <li><strong>Impact Load:</strong> Dynamic amplification factor = 4.5/(6+L) = 0.352</li>
                     <li><strong>Wind Load:</strong> As per Table 4, IRC:6-2000 (59.48 kg/m² at deck level)</li>
-                    <li><strong>Water Current:</strong> P = 52KV² where K=1.5, V=3.65 m/s</li>
+                    <li><strong>Water Current:</strong> P = 52KV² where K=${calculationResults.pier.waterCurrent.shapeFactor}, V=${calculationResults.pier.waterCurrent.surfaceVelocity} m/s</li>
                     <li><strong>Tractive/Braking:</strong> 20% of live load in longitudinal direction (47.84 kN)</li>
                     <li><strong>Buoyancy:</strong> Weight reduction = 145.80 kN (submerged volume consideration)</li>
                     <li><strong>Water Pressure:</strong> Static head + velocity head + friction forces</li>
@@ -2658,6 +6146,8 @@ function generate105PercentStructuralSection(excelSections, calculationResults)
         <div class="stress-analysis-box">
             <h3>🔬 Stress Analysis & Foundation Verification</h3>
             <div class="stress-content">
+                ${Object.entries(calculationResults.loads?.envelopes?.pier?.omittedEnvelopes || {}).map(([id, reason]) => `
+                <p><strong>Pier Load Envelope-${id} not analysed:</strong> ${reason}</p>`).join('')}
                 <h4>Load Envelope-I: Canal Dry with Live Load</h4>
                 
                 <div class="rcc-strip-footing">
@@ -3307,7 +6797,20 @@ function generate105PercentSafetySection(excelSections, calculationResults) {
     `;
 }
 
+// Stone for the protection works from the velocity through the vents: d = (V/4.893)², rounded up to 50 mm
+function calculateStoneProtection(velocity) {
+    const size = Math.pow(velocity / 4.893, 2); // m
+    const adoptedSize = Math.ceil(size * 20) / 20;
+    return {
+        size: Math.round(size * 100) / 100,
+        adoptedSize: adoptedSize,
+        weight: Math.round(4 / 3 * Math.PI * Math.pow(adoptedSize / 2, 3) * 2.65 * 1000 * 10) / 10, // kg
+    };
+}
+
 function generate105PercentConstructionSection(excelSections, calculationResults) {
+    const ventVelocity = calculationResults.loads.waterPressures.ventVelocity;
+    const stone = calculateStoneProtection(ventVelocity);
     return `
         <div class="section">
             <h2 class="section-title">🏗️ ADVANCED CONSTRUCTION METHODOLOGY & SEQUENCING</h2>
@@ -3404,8 +6907,8 @@ function generate105PercentConstructionSection(excelSections, calculationResults
                     <p><strong>Stone Gradation Requirements:</strong></p>
                     <div class="formula-display">
                         <p><strong>Stone Size Calculation: d = (Vₘₐₓ/4.893)²</strong></p>
-                        <p><strong>d = (2.63/4.893)² = 0.28m ≈ 0.30m</strong></p>
-                        <p><strong>Weight = 4/3 × π × (d/2)³ × 2.65 × 1000 = 37.5 kg ≈ 40 kg</strong></p>
+                        <p><strong>d = (${ventVelocity}/4.893)² = ${stone.size}m ≈ ${stone.adoptedSize.toFixed(2)}m</strong></p>
+                        <p><strong>Weight = 4/3 × π × (d/2)³ × 2.65 × 1000 = ${stone.weight} kg</strong></p>
                     </div>
                     
                     <p><strong>Installation Sequence:</strong></p>
@@ -3438,6 +6941,7 @@ function generate105PercentConstructionSection(excelSections, calculationResults
 }
 
 function generate105PercentRecommendationsSection(excelSections, calculationResults) {
+    const ventVelocity = calculationResults.loads.waterPressures.ventVelocity;
     return `
         <div class="section">
             <h2 class="section-title">🎯 COMPREHENSIVE RECOMMENDATIONS & OPTIMIZATION STRATEGIES</h2>
@@ -3451,15 +6955,15 @@ function generate105PercentRecommendationsSection(excelSections, calculationResu
                         <li><strong>Multi-tier Foundation System:</strong> The adopted 3-tier foundation system provides optimal load distribution with Factor of Safety = 6.85 against sliding</li>
                         <li><strong>RCC Strip Footing:</strong> 1.95m width provides adequate bearing pressure distribution (max 159.66 kN/m² < 225 kN/m² permissible)</li>
                         <li><strong>Soil-Structure Interaction:</strong> Consider dynamic analysis for enhanced seismic resistance in future upgrades</li>
-                        <li><strong>Scour Protection:</strong> 40kg stone protection designed for V = 2.63 m/s flow velocity through vents</li>
+                        <li><strong>Scour Protection:</strong> ${calculateStoneProtection(ventVelocity).weight}kg stone protection designed for V = ${ventVelocity} m/s flow velocity through vents</li>
                     </ul>
                     
                     <p><strong>Hydraulic Performance Optimization:</strong></p>
                     <ul>
-                        <li><strong>Vent Area Efficiency:</strong> 39.40% vented area (>30% IRC requirement) ensures minimal afflux of 0.131m</li>
+                        <li><strong>Vent Area Efficiency:</strong> ${calculationResults.hydraulics.ventPercentage}% vented area (${calculationResults.hydraulics.ventPercentage >= 30 ? '≥' : '<'} 30% IRC requirement) with an afflux of ${calculationResults.hydraulics.afflux}m</li>
                         <li><strong>Flow Distribution:</strong> 3 spans of 6m each + 4 nos. of 900mm dia pipes optimize flow distribution</li>
-                        <li><strong>Velocity Control:</strong> Design velocity 2.63 m/s < 6.0 m/s permissible for rocky strata (IRC:SP-82-2008)</li>
-                        <li><strong>Afflux Management:</strong> Calculated afflux = 0.131m < 0.25 × depth, ensuring minimal upstream impact</li>
+                        <li><strong>Velocity Control:</strong> Velocity through vents ${ventVelocity} m/s ${ventVelocity < 6 ? '<' : '≥'} 6.0 m/s permissible for rocky strata (IRC:SP-82-2008)</li>
+                        <li><strong>Afflux Management:</strong> Calculated afflux = ${calculationResults.hydraulics.afflux}m, raising the upstream water level to ${calculationResults.hydraulics.affluxDetails.upstreamWaterLevel}m</li>
                     </ul>
                 </div>
                 
@@ -3525,7 +7029,7 @@ function generate105PercentRecommendationsSection(excelSections, calculationResu
                     <ul>
                         <li><strong>Settlement:</strong> > 10mm differential settlement requires detailed investigation</li>
                         <li><strong>Cracking:</strong> Crack width > 0.2mm requires immediate attention</li>
-                        <li><strong>Scour:</strong> Scour depth > 1.5 × normal scour depth (2.63m) requires emergency action</li>
+                        <li><strong>Scour:</strong> Scour depth > the design maximum scour depth (${calculationResults.hydraulics.scour.maximumScourDepth}m) requires emergency action</li>
                         <li><strong>Deflection:</strong> Live load deflection > L/300 requires load restriction</li>
                     </ul>
                 </div>
@@ -3740,6 +7244,121 @@ app.post('/optimize-design', (req, res) => {
     }
 });
 
+// Moving load analysis for IRC or user-defined vehicles (e.g. local trucks) on simply supported or continuous spans
+app.post('/analyze-moving-load', (req, res) => {
+    try {
+        const { spans, span, vehicle = 'classA', axles, name, impactFactor, step } = req.body;
+        const spanLengths = spans || [span || 6.8];
+        
+        // Every train position solves the beam at every station, so the run is bounded before it starts
+        const limits = MOVING_LOAD_LIMITS;
+        if (!Array.isArray(spanLengths) || spanLengths.length === 0 || spanLengths.some(length => typeof length !== 'number' || !(length > 0))) {
+            return res.status(400).json({ success: false, error: 'spans must be a non-empty array of positive lengths in m' });
+        }
+        if (spanLengths.length > limits.maxSpans) {
+            return res.status(400).json({ success: false, error: `At most ${limits.maxSpans} spans can be analysed` });
+        }
+        if (step !== undefined && (typeof step !== 'number' || !(step >= limits.minStep))) {
+            return res.status(400).json({ success: false, error: `step must be a number of at least ${limits.minStep} m` });
+        }
+        if (axles !== undefined && (!Array.isArray(axles) || axles.length === 0 || axles.length > limits.maxAxles ||
+            axles.some(axle => !axle || typeof axle.load !== 'number' || !(axle.load > 0) ||
+                (axle.spacing !== undefined && (typeof axle.spacing !== 'number' || !(axle.spacing >= 0)))))) {
+            return res.status(400).json({
+                success: false,
+                error: `axles must be an array of 1 to ${limits.maxAxles} { load, spacing } with positive loads (KN) and non-negative spacings (m)`
+            });
+        }
+        
+        let vehicleDefinition;
+        if (axles) {
+            // Custom axles as [{ load, spacing }] with spacing measured from the previous axle
+            vehicleDefinition = {
+                name: name || 'Custom vehicle',
+                impact: 'classA',
+                axles: axles.map(axle => [axle.load, axle.spacing || 0]),
+            };
+        } else {
+            vehicleDefinition = IRC_LIVE_LOAD_VEHICLES[vehicle];
+            if (!vehicleDefinition || vehicleDefinition.udl) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown vehicle: ${vehicle}. Use one of ${Object.keys(IRC_LIVE_LOAD_VEHICLES).filter(key => !IRC_LIVE_LOAD_VEHICLES[key].udl).join(', ')} or supply axles`
+                });
+            }
+        }
+        
+        const train = getVehicleLoadTrain(vehicleDefinition);
+        const runLength = spanLengths.reduce((sum, length) => sum + length, 0) + Math.max(...train.map(axle => axle.offset));
+        if (runLength / (step || 0.05) > limits.maxPositions) {
+            return res.status(400).json({
+                success: false,
+                error: `Spans and train of ${Math.round(runLength * 100) / 100} m need more than ${limits.maxPositions} positions at this step; use a larger step`
+            });
+        }
+        const analysis = analyzeMovingLoad(train, spanLengths, { step });
+        const impact = impactFactor ?? calculateImpactFactor(vehicleDefinition.impact, Math.max(...spanLengths));
+        
+        res.json({
+            success: true,
+            vehicle: {
+                name: vehicleDefinition.name,
+                totalLoad: Math.round(train.reduce((sum, axle) => sum + axle.load, 0) * 100) / 100,
+                train: train,
+            },
+            impactFactor: Math.round(impact * 1000) / 1000,
+            reactionWithImpact: Math.round(analysis.maxReaction * (1 + impact) * 100) / 100,
+            momentWithImpact: Math.round(analysis.maxMoment * (1 + impact) * 100) / 100,
+            analysis: analysis
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Moving load analysis failed', details: error.message });
+    }
+});
+
+// Face wall and wing wall design along the submersible approaches
+app.post('/design-face-walls', (req, res) => {
+    try {
+        const { walls, backfill, materials, seismicZone } = req.body;
+        if (walls !== undefined && (!Array.isArray(walls) || walls.length === 0)) {
+            return res.status(400).json({ success: false, error: 'walls must be a non-empty array of wall sections' });
+        }
+        const invalidWall = (walls || []).find(wall => !wall || (wall.type !== undefined && !['face', 'wing'].includes(wall.type)));
+        if (invalidWall !== undefined) {
+            return res.status(400).json({ success: false, error: 'Each wall must be an object with type face or wing' });
+        }
+        if (!(String(seismicZone || 'I').toUpperCase() in SEISMIC_ZONE_FACTORS)) {
+            return res.status(400).json({ success: false, error: `seismicZone must be one of ${Object.keys(SEISMIC_ZONE_FACTORS).join(', ')}, got ${JSON.stringify(seismicZone)}` });
+        }
+        
+        // Backfill defaults from face_walls.txt
+        const backfillParams = {
+            angleShearingResistance: 30, // degrees (φ)
+            angleWallFriction: 20, // degrees (δ)
+            slopeBackfill: 0, // degrees (β)
+            surchargeHeight: 0.60, // m
+            backfillUnitWeight: 18, // KN/m³
+            frictionCoefficient: 0.5, // between soil and footing
+            theory: 'coulomb',
+            ...(backfill || {}),
+        };
+        const materialProps = {
+            unitWeightPCC: 24, // KN/m³
+            safeBearingCapacity: 15.00, // t/m²
+            ...(materials || {}),
+        };
+        
+        const design = calculateFaceWallDesign(walls || FACE_WALL_SECTIONS, backfillParams, materialProps, seismicZone);
+        res.json({
+            success: true,
+            backfill: backfillParams,
+            ...design
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Face wall design failed', details: error.message });
+    }
+});
+
 // Cost estimation endpoint
 app.post('/estimate-cost', (req, res) => {
     try {
@@ -3879,8 +7498,8 @@ function generateEnvironmentalRecommendations(results) {
     return recommendations.length > 0 ? recommendations : ['Design meets environmental standards'];
 }
 
-// Start server
-app.listen(PORT, () => {
+// Start server when run directly; the tests require the module for its calculations
+if (require.main === module) app.listen(PORT, () => {
     console.log(`🚧 Causeway Design App running on port ${PORT}`);
     console.log(`📱 Open http://localhost:${PORT} in your browser`);
     console.log(`📄 PDF Report generation enabled`);
@@ -3888,3 +7507,5 @@ app.listen(PORT, () => {
 });
 
 module.exports = app;
+// Calculations checked against the design sheets by the tests
+module.exports.calculateScour = calculateScour;
@@ -0,0 +1,49 @@
+// Starts server.js on a free port for a test file and posts JSON to its endpoints
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+async function startServer() {
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, PORT: String(port) },
+        stdio: 'ignore',
+    });
+    const baseUrl = `http://127.0.0.1:${port}`;
+    for (let attempt = 0; attempt < 100; attempt++) {
+        try {
+            await fetch(baseUrl);
+            break;
+        } catch (error) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+    
+    return {
+        post: async (endpoint, body) => {
+            const response = await fetch(`${baseUrl}/${endpoint}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+            return { status: response.status, body: await response.json() };
+        },
+        stop: () => new Promise(resolve => {
+            child.once('exit', resolve);
+            child.kill();
+        }),
+    };
+}
+
+module.exports = { startServer };
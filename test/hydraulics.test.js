@@ -0,0 +1,28 @@
+// Reference causeway of hydraulic_design.txt through POST /calculate-causeway
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const referenceCauseway = { length: 20, width: 6, height: 2 };
+let server;
+let hydraulics;
+
+before(async () => {
+    server = await startServer();
+    const { status, body } = await server.post('calculate-causeway', referenceCauseway);
+    assert.strictEqual(status, 200);
+    hydraulics = body.hydraulics;
+});
+
+after(() => server.stop());
+
+test('ventway reproduces the areas and obstruction of the sheet', () => {
+    const ventway = hydraulics.ventway;
+    assert.strictEqual(ventway.unobstructedAreaRTL, 66.53);
+    assert.strictEqual(ventway.unobstructedAreaHFL, 79.33);
+    assert.strictEqual(ventway.ventedArea, 26.21);
+    assert.strictEqual(ventway.areaAvailableAtHFL, 56.27);
+    assert.strictEqual(ventway.ventPercentage, 39.4);
+    assert.strictEqual(ventway.obstructionAtHFL, 29.07);
+    assert.strictEqual(ventway.isAdequate, true);
+});
@@ -0,0 +1,48 @@
+// Lacey's scour of hydraulic_design.txt, and the scour inputs POST /calculate-causeway rejects
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { calculateScour } = require('../server');
+const { startServer } = require('./helpers');
+
+// Sheet inputs: the foundation discharge of 60.85 m³/sec it prints as 1.30 × design discharge, f = 2.00,
+// 28.80 m linear waterway, HFL +6.235 and the proposed BFL of +2.315
+const sheetParams = {
+    maximumFloodLevel: 6.235,
+    afflux: { linearWaterway: 28.80 },
+    scour: {
+        siltFactor: 2.00,
+        dischargeIncrease: 1.30,
+        reachType: 'straight',
+        abutmentFactor: 1.5,
+        pierFactor: 1.5,
+        foundationLevel: 2.315,
+    },
+};
+
+test('scour reproduces q, D and Dm of the sheet', () => {
+    const scour = calculateScour(sheetParams, 60.85 / 1.30);
+    assert.strictEqual(scour.foundationDischarge, 60.85);
+    assert.strictEqual(scour.dischargeIntensity, 2.113);
+    assert.strictEqual(scour.normalScourDepth, 1.75);
+    assert.strictEqual(scour.abutment.scourDepth, 2.63);
+    assert.strictEqual(scour.pier.scourDepth, 2.63);
+    assert.strictEqual(scour.isFoundationSafe, true);
+});
+
+let server;
+before(async () => {
+    server = await startServer();
+});
+after(() => server.stop());
+
+test('reference causeway passes the scour check', async () => {
+    const { status, body } = await server.post('calculate-causeway', { length: 20, width: 6, height: 2 });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.hydraulics.scour.isFoundationSafe, true);
+});
+
+test('unknown reach type is rejected with 400', async () => {
+    const { status, body } = await server.post('calculate-causeway', { length: 20, width: 6, height: 2, scour: { reachType: 'x' } });
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /scour\.reachType must be one of straight/);
+});
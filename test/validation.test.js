@@ -0,0 +1,28 @@
+// Request fields POST /calculate-causeway rejects with 400 before calculating
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const referenceCauseway = { length: 20, width: 6, height: 2 };
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.stop());
+
+const rejects = (name, overrides, message) => test(name, async () => {
+    const { status, body } = await server.post('calculate-causeway', { ...referenceCauseway, ...overrides });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.success, false);
+    assert.match(body.error, message);
+});
+
+rejects('unknown catchment method', { catchment: { method: 'x' } }, /catchment\.method must be one of dickens/);
+rejects('unknown live load type', { loadType: 'foo' }, /loadType must be one of classA/);
+rejects('zero wind speed', { windSpeed: 0 }, /windSpeed must be a positive number/);
+rejects('unknown seismic zone', { seismicZone: 'VI' }, /seismicZone must be one of I, II, III, IV, V/);
+rejects('unparseable temperature range', { temperatureRange: 'abc' }, /temperatureRange must give a minimum below the maximum/);
+rejects('negative silt depth', { silt: { depth: -0.15 } }, /silt\.depth must be a number of metres, zero or more/);
+rejects('non-numeric silt density', { silt: { density: 'heavy' } }, /silt\.density must be a positive number/);